@@ -0,0 +1,113 @@
+(() => {
+  // Historial del chat por sesion (novaix_session): sobrevive a la navegacion entre paginas,
+  // caduca a los 7 dias sin actividad y se recorta por numero de mensajes y tamano total. Solo se guarda con la
+  // categoria preferences concedida en consent.js (antes de elegir no se guarda nada), y se borra al retirar
+  // cualquier categoria que se habia concedido (consent.js elimina ademas novaix_session).
+  const HISTORY_KEY = "novaix_chat_history";
+  const SESSION_KEY = "novaix_session";
+  const CLEARED_EVENT = "novaix:chat-history-cleared";
+  const TTL = 7 * 24 * 60 * 60 * 1000;
+  const MAX_MESSAGES = 60;
+  const MAX_CHARS = 24000;
+  const ROLES = ["user", "bot", "agent"];
+
+  function read(key) {
+    try {
+      return localStorage.getItem(key);
+    } catch {
+      return null;
+    }
+  }
+
+  function write(key, value) {
+    try {
+      localStorage.setItem(key, value);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  function remove(key) {
+    try {
+      localStorage.removeItem(key);
+    } catch {
+      // Sin almacenamiento no hay nada que borrar
+    }
+  }
+
+  function isEnabled() {
+    return Boolean(window.novaixConsent?.has("preferences"));
+  }
+
+  function createSessionId() {
+    return window.crypto && crypto.randomUUID
+      ? crypto.randomUUID()
+      : `nx-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+  }
+
+  function sessionId() {
+    const existing = read(SESSION_KEY);
+    if (existing) return existing;
+    const fresh = createSessionId();
+    write(SESSION_KEY, fresh);
+    return fresh;
+  }
+
+  function readRecord() {
+    try {
+      const record = JSON.parse(read(HISTORY_KEY) || "null");
+      if (!record || record.sessionId !== sessionId() || !Array.isArray(record.messages)) return null;
+      return Date.now() - Number(record.updatedAt) > TTL ? null : record;
+    } catch {
+      return null;
+    }
+  }
+
+  function load() {
+    const record = isEnabled() ? readRecord() : null;
+    if (!record) {
+      remove(HISTORY_KEY);
+      return [];
+    }
+    return record.messages
+      .filter((message) => ROLES.includes(message?.role) && typeof message.text === "string" && message.text)
+      .map((message) => ({ role: message.role, text: message.text, at: message.at, ...(message.author ? { author: String(message.author) } : {}) }));
+  }
+
+  // Se descartan primero los mensajes mas antiguos; el ultimo se conserva aunque supere el limite.
+  function cap(messages) {
+    const kept = messages.slice(-MAX_MESSAGES);
+    let total = kept.reduce((sum, message) => sum + message.text.length, 0);
+    while (kept.length > 1 && total > MAX_CHARS) total -= kept.shift().text.length;
+    return kept;
+  }
+
+  // author: nombre de la persona del equipo en los mensajes "agent" del modo de atencion humana
+  function append(role, text, author) {
+    if (!isEnabled() || !ROLES.includes(role) || !text) return;
+    const messages = cap([...load(), { role, text: String(text), at: Date.now(), ...(author ? { author: String(author) } : {}) }]);
+    const saved = write(HISTORY_KEY, JSON.stringify({ sessionId: sessionId(), updatedAt: Date.now(), messages }));
+    if (!saved) remove(HISTORY_KEY);
+  }
+
+  // Nueva conversacion: se descarta el historial y n8n recibe otro sessionId.
+  function reset() {
+    remove(HISTORY_KEY);
+    const fresh = createSessionId();
+    write(SESSION_KEY, fresh);
+    return fresh;
+  }
+
+  // Retirada del consentimiento: se borra lo guardado y se avisa a los chats abiertos en la pagina.
+  function clear() {
+    remove(HISTORY_KEY);
+    window.dispatchEvent(new CustomEvent(CLEARED_EVENT));
+  }
+
+  window.addEventListener("novaix:consent-change", (event) => {
+    if (!isEnabled() || event.detail?.withdrawn) clear();
+  });
+
+  window.novaixChatHistory = { sessionId, load, append, reset, clear, isEnabled, clearedEvent: CLEARED_EVENT };
+})();
@@ -0,0 +1,1549 @@
+(() => {
+  // Chat NOVAIX embebible: construye su propio DOM y se configura por pagina con novaixMountChat({ ... }).
+  // Opciones: webhookUrl, sector, greeting, chips [{ label, prompt }], accent, title, badge, subtitle, source,
+  // bookingUrl y onBooking (por defecto se reutiliza el primer [data-calendly-open] de la pagina) y
+  // transport ({ timeout, retries, retryDelay, maxRetryDelay, minInterval, maxPerMinute }) y, para la atencion
+  // humana, agentUrl, businessHours ({ timeZone, days, from, to }) y contact ({ email, whatsapp }). Sin agentUrl
+  // no hay atencion humana: un handoff del bot solo ofrece las vias de contacto.
+  //
+  // Respuesta del webhook: { reply } en JSON o por streaming, y opcionalmente, en la respuesta JSON o en
+  // cualquier fragmento JSON del stream:
+  //   quickReplies: ["Texto", { label, value }]      -> botones de respuesta rapida (se envia label y value)
+  //   links: [{ label, url }]                          -> enlaces http(s), mailto:, tel: o de la propia web
+  //   cards: [{ title, text, url?, label?, value? }]   -> tarjetas de servicio con enlace o respuesta rapida
+  //   actions: [{ type: "open_booking", label? }]      -> abre el modal de Calendly de la pagina
+  //            [{ type: "lead_form" }]                   -> pide los datos de contacto con un formulario en el chat
+  //   handoff: true | { status?, agent?, available? }  -> pasa la conversacion a una persona del equipo
+  //
+  // Atencion humana (agentUrl): GET ?sessionId=&after=<cursor>&wait=<s> (long-poll) devuelve
+  // { status: "waiting" | "connected" | "closed", agent?, messages: [{ id, text, author }], cursor };
+  // los mensajes del visitante van por POST { sessionId, requestId, message }.
+  //
+  // Evento de lead (POST al mismo webhook, n8n lo distingue por type):
+  //   { type: "lead", sessionId, requestId, source,
+  //     lead: { name, company, sector, email, phone, channel: "whatsapp" | "phone" | "email" },
+  //     consent: { privacy: true, policyUrl, at },
+  //     context: { page, referrer, language, sector, utm: { utm_source, ..., gclid, fbclid } } }
+  // Conversacion por email al visitante (solo con su consentimiento explicito):
+  //   { type: "transcript_email", sessionId, requestId, source, email, consent: { privacy: true, policyUrl, at },
+  //     transcript: [{ role: "user" | "bot" | "agent", author, text, at }], context: { page, language } }
+  //
+  // Analitica (analytics: { anonymousUrl }): eventos en dataLayer solo con consentimiento. Hasta que el
+  // visitante decide se guardan en una cola de la sesion del navegador y se vuelcan al aceptar; al rechazar
+  // se descartan o, con anonymousUrl, se envian solo como contadores por evento al cerrar la pagina.
+  // Todos llevan { chat_session, chat_sector, chat_source, chat_page (ruta sin query), chat_language }:
+  //   novaix_chat_open            { chat_trigger: "button" | "api" }
+  //   novaix_chat_started         { chat_input: "text" | "chip" | "quick_reply" }  primer mensaje de cada sesion
+  //   novaix_chat_quick_chip      { chip_type: "chip" | "quick_reply", chip_label }
+  //   novaix_chat_error           { error_kind: "timeout" | "http" | "network" | "offline", error_status }
+  //   novaix_chat_handoff         { handoff_status: "requested" | "connected" | "closed" | "unavailable" }
+  //   novaix_chat_lead_submitted  { lead_channel, lead_sector }  sin nombre, email ni telefono
+  //   novaix_chat_booking_click   { booking_target: "callback" | "modal" | "url" }
+  // El permiso es la categoria analytics de consent.js (evento novaix:consent-change en window).
+  // Todo se pinta con textContent: el HTML que envie el bot se muestra como texto.
+  const DEFAULT_WEBHOOK_URL = "https://hooks.novaix.es/webhook/ai-chat";
+  const HANDOFF_KEY = "novaix_chat_handoff";
+  const LONG_POLL_WAIT = 25;
+  const POLL_INTERVAL = 3000;
+  const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+  const FOCUSABLE = "a[href], button, input, select, textarea, [tabindex]:not([tabindex='-1'])";
+  const ACTION_TYPES = ["open_booking", "lead_form"];
+  const UTM_KEY = "novaix_utm";
+  const UTM_PARAMS = ["utm_source", "utm_medium", "utm_campaign", "utm_content", "utm_term", "gclid", "fbclid"];
+  const EMAIL_PATTERN = /[^\s@<>()]+@[^\s@<>()]+\.[a-z]{2,}/i;
+  // Moviles y fijos espanoles (6, 7, 8 o 9 y 9 cifras), con +34/0034 opcional y separadores
+  const PHONE_PATTERN = /(?:\+|00)?(?:34[\s.-]?)?[6789](?:[\s.-]?\d){8}/;
+  const STYLESHEET_ID = "novaix-chat-styles";
+  const CONSENT_EVENT = "novaix:consent-change";
+  const EVENTS_KEY = "novaix_chat_events";
+  const METRICS_KEY = "novaix_chat_metrics";
+  const STARTED_KEY = "novaix_chat_started_tracked";
+  const EVENTS_LIMIT = 30;
+  const LINK_PROTOCOLS = ["http:", "https:", "mailto:", "tel:"];
+  const LIMITS = { quickReplies: 6, links: 4, cards: 4, actions: 2 };
+  const QUEUE_LIMIT = 5;
+  const TRANSPORT_DEFAULTS = {
+    timeout: 20000,
+    retries: 2,
+    retryDelay: 800,
+    maxRetryDelay: 8000,
+    minInterval: 1200,
+    maxPerMinute: 8
+  };
+  const scriptUrl = document.currentScript?.src || window.location.href;
+  const defaults = {
+    webhookUrl: DEFAULT_WEBHOOK_URL,
+    source: "novaix-site",
+    sector: null,
+    title: "NOVAIX Chat",
+    badge: "IA privada",
+    subtitle: "Consulta software, digitalización, integraciones, automatización e IA.",
+    greeting: "Hola, soy NOVAIX. Cuéntame qué proceso, herramienta o problema quieres mejorar en tu empresa.",
+    chips: [],
+    accent: null,
+    bookingUrl: null,
+    onBooking: null,
+    transport: {},
+    agentUrl: null,
+    businessHours: { timeZone: "Europe/Madrid", days: [1, 2, 3, 4, 5], from: "09:00", to: "18:00" },
+    contact: { email: "info@novaix.es", whatsapp: null },
+    analytics: { anonymousUrl: null }
+  };
+  let instance = null;
+
+  const t = (text, params) => (window.novaixT
+    ? window.novaixT(text, params)
+    : text.replace(/\{(\w+)\}/g, (match, name) => params?.[name] ?? match));
+
+  const createId = () => (window.crypto && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `nx-${Date.now()}-${Math.random().toString(16).slice(2)}`);
+
+  // Sin chat-history.js el chat funciona igual, pero la conversacion no sobrevive a la pagina.
+  function memoryHistory() {
+    let sessionId = createId();
+    return {
+      sessionId: () => sessionId,
+      load: () => [],
+      append: () => {},
+      reset: () => {
+        sessionId = createId();
+        return sessionId;
+      },
+      clearedEvent: "novaix:chat-history-cleared"
+    };
+  }
+
+  function createElement(tag, className, attributes = {}) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
+  }
+
+  function createIcon(name) {
+    return createElement("i", `fa-solid ${name}`, { "aria-hidden": "true" });
+  }
+
+  function createButton(className, label, iconName) {
+    const button = createElement("button", className, { type: "button", "aria-label": label, title: label });
+    button.appendChild(createIcon(iconName));
+    return button;
+  }
+
+  // La hoja de estilos va junto al script (misma version ?v=); el chat no se muestra hasta tenerla.
+  function loadStylesheet() {
+    const existing = document.getElementById(STYLESHEET_ID);
+    if (existing) return existing.sheet ? Promise.resolve() : new Promise((resolve) => existing.addEventListener("load", resolve, { once: true }));
+    const href = new URL("chat-widget.css", scriptUrl);
+    href.search = new URL(scriptUrl).search;
+    const link = createElement("link", "", { id: STYLESHEET_ID, rel: "stylesheet", href: href.toString() });
+    const loaded = new Promise((resolve) => {
+      link.addEventListener("load", resolve, { once: true });
+      link.addEventListener("error", resolve, { once: true });
+    });
+    document.head.appendChild(link);
+    return loaded;
+  }
+
+  const cleanText = (value, max = 280) => (typeof value === "string" || typeof value === "number"
+    ? String(value).replace(/\s+/g, " ").trim().slice(0, max)
+    : "");
+
+  // Solo protocolos conocidos; javascript:, data: y similares se descartan
+  function safeUrl(value) {
+    if (typeof value !== "string" || !value.trim()) return null;
+    try {
+      const url = new URL(value.trim(), window.location.href);
+      return LINK_PROTOCOLS.includes(url.protocol) ? url : null;
+    } catch {
+      return null;
+    }
+  }
+
+  function readQuickReply(item) {
+    const label = cleanText(typeof item === "object" && item ? item.label ?? item.title : item, 80);
+    if (!label) return null;
+    return { label, value: typeof item === "object" && item.value != null ? cleanText(item.value, 200) : null };
+  }
+
+  // Normaliza los bloques estructurados de una respuesta; null si no trae ninguno
+  function readExtras(data) {
+    if (!data || typeof data !== "object") return null;
+    const list = (value, limit, read) => (Array.isArray(value) ? value.map(read).filter(Boolean).slice(0, limit) : []);
+    const extras = {
+      quickReplies: list(data.quickReplies ?? data.quick_replies, LIMITS.quickReplies, readQuickReply),
+      links: list(data.links, LIMITS.links, (link) => {
+        const url = safeUrl(link?.url);
+        const label = cleanText(link?.label, 80);
+        return url && label ? { label, url } : null;
+      }),
+      cards: list(data.cards, LIMITS.cards, (card) => {
+        const title = cleanText(card?.title, 80);
+        if (!title) return null;
+        const url = safeUrl(card.url);
+        const action = card.value != null ? readQuickReply({ label: card.label || title, value: card.value }) : null;
+        return { title, text: cleanText(card.text ?? card.description, 240), url, label: cleanText(card.label, 60), action };
+      }),
+      actions: list(data.actions, LIMITS.actions, (action) => (ACTION_TYPES.includes(action?.type)
+        ? { type: action.type, label: cleanText(action.label, 60) }
+        : null))
+    };
+    return Object.values(extras).some((items) => items.length) ? extras : null;
+  }
+
+  function readHandoff(data) {
+    const value = data?.handoff;
+    if (!value) return null;
+    return {
+      available: value.available !== false,
+      agent: cleanText(value.agent?.name ?? value.agent, 60) || null
+    };
+  }
+
+  // Horario del equipo en su zona horaria, no en la del visitante
+  function isWithinHours(hours) {
+    if (!hours) return true;
+    const parts = Object.fromEntries(new Intl.DateTimeFormat("en-GB", {
+      timeZone: hours.timeZone,
+      weekday: "short",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23"
+    }).formatToParts(new Date()).map((part) => [part.type, part.value]));
+    const time = `${parts.hour}:${parts.minute}`;
+    return hours.days.includes(WEEKDAYS.indexOf(parts.weekday)) && time >= hours.from && time < hours.to;
+  }
+
+  function mergeExtras(current, next) {
+    if (!next) return current;
+    if (!current) return next;
+    return Object.fromEntries(Object.keys(next).map((key) => [key, [...current[key], ...next[key]].slice(0, LIMITS[key])]));
+  }
+
+  // UTM y click ids de la URL de llegada; se guardan en sessionStorage para las paginas siguientes
+  function readUtm() {
+    const incoming = new URLSearchParams(window.location.search);
+    const found = Object.fromEntries(UTM_PARAMS.filter((key) => incoming.get(key)).map((key) => [key, incoming.get(key).slice(0, 200)]));
+    try {
+      if (Object.keys(found).length) sessionStorage.setItem(UTM_KEY, JSON.stringify(found));
+      return Object.keys(found).length ? found : JSON.parse(sessionStorage.getItem(UTM_KEY) || "{}");
+    } catch {
+      return found;
+    }
+  }
+
+  function normalizePhone(value) {
+    const digits = String(value || "").replace(/[\s.()-]/g, "").replace(/^(\+|00)34/, "");
+    return /^[6789]\d{8}$/.test(digits) ? `+34${digits}` : null;
+  }
+
+  // Email o telefono escritos en un mensaje, para rellenar el formulario de contacto
+  function readContact(text) {
+    const email = text.match(EMAIL_PATTERN)?.[0] || "";
+    const phone = normalizePhone(text.match(PHONE_PATTERN)?.[0]) || "";
+    return email || phone ? { email, phone } : null;
+  }
+
+  // Devuelve { campo: mensaje } con los errores; vacio si el lead es valido
+  function validateLead(lead) {
+    const errors = {};
+    if (lead.name.length < 2) errors.name = t("Indica tu nombre.");
+    if (lead.email && !new RegExp(`^${EMAIL_PATTERN.source}$`, "i").test(lead.email)) errors.email = t("Revisa el email.");
+    if (lead.phone && !normalizePhone(lead.phone)) errors.phone = t("Revisa el teléfono: 9 cifras, con +34 opcional.");
+    if (!lead.email && !lead.phone) errors.email = t("Déjanos un email o un teléfono.");
+    if (lead.channel === "email" && !lead.email && !errors.email) errors.email = t("Para contactarte por email necesitamos tu email.");
+    if (lead.channel !== "email" && !lead.phone && !errors.phone) errors.phone = t("Para WhatsApp o llamada necesitamos tu teléfono.");
+    if (!lead.privacy) errors.privacy = t("Necesitamos tu consentimiento para contactarte.");
+    return errors;
+  }
+
+  // Transcripcion descargable: texto plano o HTML listo para imprimir, con fecha y hora de cada mensaje
+  function formatTime(at) {
+    return new Intl.DateTimeFormat(document.documentElement.lang || "es", { dateStyle: "short", timeStyle: "short" }).format(new Date(at));
+  }
+
+  function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" })[char]);
+  }
+
+  function transcriptText(items, title) {
+    const header = [title, `${t("Página")}: ${window.location.href}`, `${t("Exportada")}: ${formatTime(Date.now())}`];
+    const lines = items.map((item) => `[${formatTime(item.at)}] ${item.author}:\n${item.text}`);
+    return `${header.join("\n")}\n\n${lines.join("\n\n")}\n`;
+  }
+
+  function transcriptHtml(items, title) {
+    const lang = escapeHtml(document.documentElement.lang || "es");
+    const rows = items.map((item) => `<article class="${item.role}"><header><strong>${escapeHtml(item.author)}</strong> <time>${escapeHtml(formatTime(item.at))}</time></header><p>${escapeHtml(item.text)}</p></article>`);
+    return `<!DOCTYPE html>
+<html lang="${lang}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font: 15px/1.5 system-ui, sans-serif; color: #111; max-width: 720px; margin: 32px auto; padding: 0 20px; }
+  h1 { font-size: 1.3rem; margin: 0 0 4px; }
+  .meta { color: #555; font-size: .85rem; margin: 0 0 24px; word-break: break-all; }
+  article { border-left: 3px solid #00a6d9; padding: 4px 0 4px 12px; margin: 0 0 14px; break-inside: avoid; }
+  article.user { border-color: #999; }
+  article.agent { border-color: #d99a00; }
+  header { font-size: .85rem; color: #444; }
+  p { margin: 2px 0 0; white-space: pre-wrap; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">${escapeHtml(window.location.href)} · ${escapeHtml(formatTime(Date.now()))}</p>
+${rows.join("\n")}
+</body>
+</html>
+`;
+  }
+
+  function downloadFile(name, type, content) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = createElement("a", "", { href: url, download: name });
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // "accepted", "declined" o null mientras el visitante no haya respondido al banner
+  function trackingConsent() {
+    const consent = window.novaixConsent;
+    if (!consent?.get()) return null;
+    return consent.has("analytics") ? "accepted" : "declined";
+  }
+
+  // sessionStorage se lee dentro del try: con las cookies bloqueadas acceder a el ya lanza un error
+  function readJson(key, fallback) {
+    try {
+      return JSON.parse(sessionStorage.getItem(key) || "null") ?? fallback;
+    } catch {
+      return fallback;
+    }
+  }
+
+  function writeJson(key, value) {
+    try {
+      if (value) sessionStorage.setItem(key, JSON.stringify(value));
+      else sessionStorage.removeItem(key);
+    } catch {
+      // Sin almacenamiento la cola vive solo en esta pagina
+    }
+  }
+
+  function createTracker(config, getSession) {
+    let pending = readJson(EVENTS_KEY, []);
+    let metrics = readJson(METRICS_KEY, {});
+
+    function push(entry) {
+      window.dataLayer = window.dataLayer || [];
+      window.dataLayer.push(entry);
+    }
+
+    // Sin consentimiento solo se cuenta el nombre del evento
+    function count(name) {
+      if (!config.analytics?.anonymousUrl) return;
+      metrics = { ...metrics, [name]: (metrics[name] || 0) + 1 };
+      writeJson(METRICS_KEY, metrics);
+    }
+
+    function track(name, params = {}) {
+      const consent = trackingConsent();
+      if (consent === "declined") {
+        count(name);
+        return;
+      }
+      const entry = {
+        event: name,
+        chat_session: getSession(),
+        chat_sector: config.sector || null,
+        chat_source: config.source,
+        chat_page: window.location.pathname,
+        chat_language: document.documentElement.lang || null,
+        ...params
+      };
+      if (consent === "accepted") {
+        push(entry);
+        return;
+      }
+      pending = [...pending, entry].slice(-EVENTS_LIMIT);
+      writeJson(EVENTS_KEY, pending);
+    }
+
+    // Primer mensaje de cada conversacion, aunque se cambie de pagina
+    function trackStart(params) {
+      try {
+        if (sessionStorage.getItem(STARTED_KEY) === getSession()) return;
+        sessionStorage.setItem(STARTED_KEY, getSession());
+      } catch {
+        // Sin sessionStorage se cuenta en cada pagina
+      }
+      track("novaix_chat_started", params);
+    }
+
+    // Tras la decision del visitante: la cola se vuelca a dataLayer o se reduce a contadores
+    function sync() {
+      const consent = trackingConsent();
+      if (!consent || !pending.length) return;
+      if (consent === "accepted") pending.forEach(push);
+      else pending.forEach((entry) => count(entry.event));
+      pending = [];
+      writeJson(EVENTS_KEY, null);
+    }
+
+    function flushMetrics() {
+      if (!Object.keys(metrics).length || trackingConsent() !== "declined") return;
+      const body = JSON.stringify({ type: "chat_metrics", source: config.source, sector: config.sector || null, counts: metrics });
+      if (!navigator.sendBeacon?.(config.analytics.anonymousUrl, new Blob([body], { type: "application/json" }))) return;
+      metrics = {};
+      writeJson(METRICS_KEY, null);
+    }
+
+    return { track, trackStart, sync, flushMetrics };
+  }
+
+  // Fragmentos admitidos: {token}, {delta}, {text}, el streaming de n8n ({type: "item", content}) o texto plano por SSE
+  function readChunk(payload) {
+    if (payload === "[DONE]") return { done: true };
+    let data;
+    try {
+      data = JSON.parse(payload);
+    } catch {
+      return { token: payload };
+    }
+    if (!data || typeof data !== "object") return { token: payload };
+    if (data.type === "error" || data.error) throw new Error(data.error || data.content || "Stream error");
+    return {
+      token: data.token ?? data.delta ?? data.content ?? data.text ?? "",
+      reply: data.reply,
+      extras: readExtras(data),
+      handoff: readHandoff(data),
+      done: data.type === "end" || data.done === true
+    };
+  }
+
+  // Devuelve false si el endpoint no emite SSE ni NDJSON: entonces se lee como JSON {reply}
+  async function streamReply(res, onToken, onChunk) {
+    const type = res.headers.get("content-type") || "";
+    const isSse = type.includes("text/event-stream");
+    if (!res.body || (!isSse && !/ndjson|jsonl/.test(type))) return false;
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+    let finished = false;
+    const handle = (payload) => {
+      const chunk = readChunk(payload);
+      if (chunk.token) onToken(chunk.token);
+      else if (chunk.reply) onToken(chunk.reply, true);
+      if (chunk.extras || chunk.handoff) onChunk(chunk);
+      if (chunk.done) finished = true;
+    };
+    // SSE separa eventos con una linea en blanco; NDJSON envia un objeto por linea
+    const flush = (final) => {
+      const parts = buffer.split(isSse ? /\r?\n\r?\n/ : /\r?\n/);
+      buffer = final ? "" : parts.pop();
+      parts.forEach((part) => {
+        if (finished || !part.trim()) return;
+        if (!isSse) {
+          handle(part.trim());
+          return;
+        }
+        const lines = part.split(/\r?\n/);
+        const event = lines.find((line) => line.startsWith("event:"))?.slice(6).trim();
+        const data = lines.filter((line) => line.startsWith("data:")).map((line) => line.slice(5).replace(/^ /, "")).join("\n");
+        if (event === "error") throw new Error(data || "Stream error");
+        if (event === "done") finished = true;
+        else if (data) handle(data);
+      });
+    };
+    while (!finished) {
+      const { value, done } = await reader.read();
+      buffer += decoder.decode(value, { stream: !done });
+      flush(done);
+      if (done) break;
+    }
+    if (finished) reader.cancel().catch(() => {});
+    return true;
+  }
+
+  // Errores del transporte con un tipo para decidir que ve el visitante:
+  // cancelled, offline (va a la cola), timeout, http o network.
+  function transportError(kind, message = kind, status = null) {
+    return Object.assign(new Error(message), { kind, status });
+  }
+
+  function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, ms);
+      signal.addEventListener("abort", () => {
+        clearTimeout(timer);
+        reject(transportError("cancelled"));
+      }, { once: true });
+    });
+  }
+
+  // Backoff exponencial con algo de azar; Retry-After (en segundos) manda si el servidor lo envia
+  function retryDelay(settings, attempt, res) {
+    const retryAfter = Number(res?.headers.get("retry-after"));
+    const base = retryAfter > 0 ? retryAfter * 1000 : settings.retryDelay * 2 ** attempt;
+    return Math.min(settings.maxRetryDelay, base) + Math.round(Math.random() * 250);
+  }
+
+  // POST con timeout por intento y reintentos en 5xx, 429, timeout o fallo de red. read(res, touch) consume
+  // la respuesta; touch() aplaza el timeout mientras llegan datos. Con una respuesta 2xx ya no se reintenta:
+  // el servidor ya tiene el mensaje y repetirlo lo duplicaria.
+  async function postWithRetry(url, body, { signal, settings, read, onRetry }) {
+    for (let attempt = 0; ; attempt += 1) {
+      if (signal.aborted) throw transportError("cancelled");
+      if (navigator.onLine === false) throw transportError("offline");
+      const controller = new AbortController();
+      const abort = () => controller.abort();
+      signal.addEventListener("abort", abort, { once: true });
+      let timer = null;
+      let timedOut = false;
+      let accepted = false;
+      const touch = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+          timedOut = true;
+          controller.abort();
+        }, settings.timeout);
+      };
+      let error = null;
+      let failedResponse = null;
+      try {
+        touch();
+        const res = await fetch(url, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Accept: "text/event-stream, application/x-ndjson, application/json;q=0.8"
+          },
+          body,
+          signal: controller.signal
+        });
+        if (res.ok) {
+          accepted = true;
+          return await read(res, touch);
+        }
+        res.body?.cancel().catch(() => {});
+        failedResponse = res;
+        error = transportError("http", `HTTP ${res.status}`, res.status);
+      } catch (err) {
+        if (signal.aborted) throw transportError("cancelled");
+        if (err.kind) throw err;
+        const kind = timedOut ? "timeout" : navigator.onLine === false ? "offline" : "network";
+        error = transportError(kind, err.message);
+      } finally {
+        clearTimeout(timer);
+        signal.removeEventListener("abort", abort);
+      }
+      const retryable = error.kind === "http" ? error.status === 429 || error.status >= 500 : error.kind !== "offline";
+      if (accepted || !retryable || attempt >= settings.retries) throw error;
+      onRetry?.(attempt + 1);
+      await wait(retryDelay(settings, attempt, failedResponse), signal);
+    }
+  }
+
+  function buildChat(config) {
+    const root = createElement("div", "nx-chat", { "data-i18n-dynamic": "" });
+    if (config.sector) root.dataset.sector = config.sector;
+    if (config.accent) {
+      root.dataset.accent = "";
+      root.style.setProperty("--nx-chat-accent", config.accent);
+    }
+
+    // Cerrado, la caja es inert; abierto, lo es el boton flotante. En pantalla completa el dialogo es modal.
+    const fab = createButton("nx-chat__fab", "Abrir chat IA NOVAIX", "fa-message");
+    fab.setAttribute("aria-expanded", "false");
+    fab.setAttribute("aria-controls", "nx-chat-box");
+    const box = createElement("div", "nx-chat__box", { id: "nx-chat-box", role: "dialog", "aria-modal": "false", "aria-labelledby": "nx-chat-title", inert: "" });
+
+    const header = createElement("div", "nx-chat__header");
+    const heading = createElement("div", "nx-chat__heading");
+    const logo = createElement("span", "nx-chat__logo", { "aria-hidden": "true" });
+    logo.appendChild(createIcon("fa-robot"));
+    const title = createElement("div", "nx-chat__title");
+    const badge = createElement("span", "nx-chat__badge");
+    badge.append(createIcon("fa-shield-halved"), ` ${config.badge}`);
+    const name = createElement("h3", "", { id: "nx-chat-title" });
+    name.textContent = config.title;
+    const subtitle = createElement("small");
+    subtitle.textContent = config.subtitle;
+    title.append(badge, name, subtitle);
+    heading.append(logo, title);
+    const actions = createElement("div", "nx-chat__actions");
+    const menuBtn = createButton("nx-chat__action", "Más opciones", "fa-ellipsis-vertical");
+    const menu = createElement("div", "nx-chat__menu", { role: "menu", id: "nx-chat-menu" });
+    menu.hidden = true;
+    menuBtn.setAttribute("aria-haspopup", "menu");
+    menuBtn.setAttribute("aria-expanded", "false");
+    menuBtn.setAttribute("aria-controls", menu.id);
+    const menuItems = [
+      ["download-text", "Descargar conversación (.txt)", "fa-file-lines"],
+      ["download-html", "Descargar versión imprimible (.html)", "fa-print"],
+      ["email", "Enviarme la conversación por email", "fa-envelope"]
+    ].map(([action, label, icon]) => {
+      const item = createElement("button", "nx-chat__menu-item", { type: "button", role: "menuitem", "data-action": action });
+      item.append(createIcon(icon), ` ${label}`);
+      return item;
+    });
+    menu.append(...menuItems);
+    const resetBtn = createButton("nx-chat__action", "Nueva conversación", "fa-rotate-left");
+    const fullBtn = createButton("nx-chat__action", "Maximizar chat", "fa-up-right-and-down-left-from-center");
+    fullBtn.setAttribute("aria-pressed", "false");
+    const closeBtn = createButton("nx-chat__action", "Cerrar chat", "fa-xmark");
+    actions.append(menuBtn, resetBtn, fullBtn, closeBtn, menu);
+    header.append(heading, actions);
+
+    // Los mensajes no son region viva: el streaming leeria cada fragmento. Las respuestas completas se
+    // anuncian en announcer y el estado (pensando, respondiendo, errores) en la barra de estado.
+    const messages = createElement("div", "nx-chat__messages", { role: "log", "aria-live": "off", "aria-label": "Mensajes del chat", tabindex: "0" });
+
+    const footer = createElement("div", "nx-chat__footer");
+    const chips = config.chips.map((chip) => {
+      const button = createElement("button", "nx-chat__chip", { type: "button", "data-prompt": chip.prompt || chip.label });
+      button.textContent = chip.label;
+      return button;
+    });
+    if (chips.length) {
+      const chipsHead = createElement("div", "nx-chat__chips-head");
+      const chipsTitle = createElement("strong");
+      chipsTitle.textContent = "Temas rápidos";
+      const chipsHint = createElement("small");
+      chipsHint.textContent = "Desliza para ver más";
+      chipsHead.append(chipsTitle, chipsHint);
+      const chipsRow = createElement("div", "nx-chat__chips");
+      chipsRow.append(...chips);
+      footer.append(chipsHead, chipsRow);
+    }
+    const form = createElement("form", "nx-chat__form", { autocomplete: "off" });
+    const input = createElement("input", "nx-chat__input", { type: "text", placeholder: "Escribe tu mensaje...", "aria-label": "Escribe tu mensaje...", required: "" });
+    const sendBtn = createElement("button", "nx-chat__send", { type: "submit" });
+    sendBtn.textContent = "Enviar";
+    const stopBtn = createElement("button", "nx-chat__send nx-chat__stop", { type: "button", "aria-label": "Detener respuesta" });
+    stopBtn.hidden = true;
+    stopBtn.append(createIcon("fa-stop"), " Detener");
+    form.append(input, sendBtn, stopBtn);
+    const statusBar = createElement("p", "nx-chat__status", { role: "status" });
+    statusBar.textContent = "Listo para responder";
+    footer.append(form, statusBar);
+    const announcer = createElement("p", "nx-chat__sr", { "aria-live": "polite", "aria-atomic": "true" });
+
+    box.append(header, messages, footer, announcer);
+    root.append(fab, box);
+    return { root, fab, box, menuBtn, menu, menuItems, resetBtn, fullBtn, closeBtn, messages, chips, form, input, sendBtn, stopBtn, statusBar, announcer };
+  }
+
+  // En local se puede apuntar al mock de tools/mock-chat-stream.mjs con localStorage.novaix_chat_endpoint
+  function localEndpoint(key) {
+    if (!["localhost", "127.0.0.1"].includes(window.location.hostname)) return null;
+    try {
+      return localStorage.getItem(key);
+    } catch {
+      // Sin almacenamiento se usa el endpoint de la configuracion
+      return null;
+    }
+  }
+
+  function mount(options = {}) {
+    if (instance) return instance;
+    const config = { ...defaults, ...options, chips: options.chips || defaults.chips };
+    const history = window.novaixChatHistory || memoryHistory();
+    const ui = buildChat(config);
+    const { root, fab, box, messages, input, sendBtn, stopBtn, statusBar } = ui;
+
+    const webhookUrl = localEndpoint("novaix_chat_endpoint") || config.webhookUrl;
+    const agentUrl = localEndpoint("novaix_chat_agent_endpoint") || config.agentUrl;
+    const transport = { ...TRANSPORT_DEFAULTS, ...config.transport };
+    let sessionId = history.sessionId();
+    let activeReply = null;
+    let queue = [];
+    let sentAt = [];
+    let handoff = null;
+    let leadSent = false;
+    let formCount = 0;
+    let lastEmail = "";
+    const tracker = createTracker(config, () => sessionId);
+
+    function open(trigger = "api") {
+      if (!root.classList.contains("nx-chat--open")) tracker.track("novaix_chat_open", { chat_trigger: trigger });
+      root.classList.add("nx-chat--open");
+      box.removeAttribute("inert");
+      fab.setAttribute("inert", "");
+      fab.setAttribute("aria-expanded", "true");
+      setTimeout(() => input.focus(), 100);
+    }
+
+    // El foco vuelve al boton flotante salvo que otro elemento lo reciba (el modal de la agenda)
+    function close(returnFocus = true) {
+      toggleMenu(false);
+      root.classList.remove("nx-chat--open");
+      box.setAttribute("inert", "");
+      fab.removeAttribute("inert");
+      fab.setAttribute("aria-expanded", "false");
+      if (returnFocus) fab.focus();
+    }
+
+    function setFull(isFull) {
+      root.classList.toggle("nx-chat--full", isFull);
+      box.setAttribute("aria-modal", isFull ? "true" : "false");
+      ui.fullBtn.setAttribute("aria-pressed", isFull ? "true" : "false");
+      ui.fullBtn.firstElementChild.className = `fa-solid ${isFull ? "fa-down-left-and-up-right-to-center" : "fa-up-right-and-down-left-from-center"}`;
+    }
+
+    // Se vacia antes para que un texto repetido se vuelva a leer
+    function announce(text) {
+      if (!text) return;
+      ui.announcer.textContent = "";
+      setTimeout(() => { ui.announcer.textContent = text; }, 60);
+    }
+
+    // Pantalla completa: Tab y Mayus+Tab no salen del chat
+    function trapFocus(event) {
+      const items = Array.from(box.querySelectorAll(FOCUSABLE)).filter((item) => !item.disabled && !item.closest("[hidden], [inert]"));
+      if (!items.length) return;
+      const first = items[0];
+      const last = items[items.length - 1];
+      if (event.shiftKey && (document.activeElement === first || !box.contains(document.activeElement))) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
+      }
+    }
+
+    // Cada burbuja lleva quien la envia (data-author); la del asistente solo se ve si ha habido atencion humana
+    function addMessage(text, sender, author, at = Date.now()) {
+      const row = createElement("div", `nx-chat__row nx-chat__row--${sender}`);
+      row.dataset.at = String(at);
+      if (sender !== "user") {
+        const avatar = createElement("div", "nx-chat__avatar");
+        avatar.appendChild(createIcon(sender === "agent" ? "fa-headset" : "fa-robot"));
+        row.appendChild(avatar);
+      }
+      const bubble = createElement("div", "nx-chat__bubble");
+      if (sender !== "user") bubble.dataset.author = sender === "agent" ? author || t("Equipo NOVAIX") : t("Asistente IA");
+      bubble.textContent = text;
+      row.appendChild(bubble);
+      messages.appendChild(row);
+      messages.scrollTop = messages.scrollHeight;
+      return bubble;
+    }
+
+    function addNotice(text) {
+      const notice = createElement("p", "nx-chat__notice");
+      notice.textContent = text;
+      messages.appendChild(notice);
+      messages.scrollTop = messages.scrollHeight;
+      announce(text);
+    }
+
+    function addLoadingMessage() {
+      const row = createElement("div", "nx-chat__row nx-chat__row--bot nx-chat__row--loading");
+      const avatar = createElement("div", "nx-chat__avatar");
+      avatar.appendChild(createIcon("fa-robot"));
+      const bubble = createElement("div", "nx-chat__bubble", { "aria-label": t("La IA está escribiendo") });
+      for (let i = 0; i < 3; i += 1) bubble.appendChild(createElement("span", "nx-chat__dot"));
+      row.append(avatar, bubble);
+      messages.appendChild(row);
+      messages.scrollTop = messages.scrollHeight;
+      return row;
+    }
+
+    function createLink(url, label, className) {
+      const link = createElement("a", className, { href: url.href });
+      if (url.origin !== window.location.origin && url.protocol.startsWith("http")) {
+        link.target = "_blank";
+        link.rel = "noopener noreferrer";
+      }
+      link.textContent = label;
+      return link;
+    }
+
+    // Agenda: callback de la pagina, el modal de Calendly que ya existe o, en su defecto, bookingUrl
+    function findBookingTrigger() {
+      return Array.from(document.querySelectorAll("[data-calendly-open]")).find((element) => !root.contains(element));
+    }
+
+    function canBook() {
+      return typeof config.onBooking === "function" || Boolean(config.bookingUrl) || Boolean(findBookingTrigger());
+    }
+
+    function openBooking() {
+      if (typeof config.onBooking === "function") {
+        tracker.track("novaix_chat_booking_click", { booking_target: "callback" });
+        config.onBooking();
+        return;
+      }
+      const trigger = findBookingTrigger();
+      if (trigger) {
+        tracker.track("novaix_chat_booking_click", { booking_target: "modal" });
+        close(false);
+        trigger.click();
+      } else if (config.bookingUrl) {
+        tracker.track("novaix_chat_booking_click", { booking_target: "url" });
+        window.open(config.bookingUrl, "_blank", "noopener");
+      }
+    }
+
+    function createCard(card) {
+      const item = createElement("div", "nx-chat__card");
+      const title = createElement("strong");
+      title.textContent = card.title;
+      item.appendChild(title);
+      if (card.text) {
+        const text = createElement("p");
+        text.textContent = card.text;
+        item.appendChild(text);
+      }
+      if (card.url) item.appendChild(createLink(card.url, card.label || t("Ver más"), "nx-chat__link"));
+      else if (card.action) item.appendChild(createReplyButton(card.action, "nx-chat__link"));
+      return item;
+    }
+
+    function createReplyButton(reply, className) {
+      const button = createElement("button", className, { type: "button" });
+      button.textContent = reply.label;
+      button.addEventListener("click", () => {
+        tracker.track("novaix_chat_quick_chip", { chip_type: "quick_reply", chip_label: reply.label });
+        send(reply.label, reply.value, "quick_reply");
+      });
+      return button;
+    }
+
+    // Bloques estructurados bajo la respuesta; las respuestas rapidas se retiran al enviar otro mensaje
+    function addExtras(extras) {
+      const row = createElement("div", "nx-chat__row nx-chat__row--bot nx-chat__row--extras");
+      const body = createElement("div", "nx-chat__extras");
+      extras.cards.forEach((card) => body.appendChild(createCard(card)));
+      const actions = extras.actions.filter((action) => action.type === "open_booking" && canBook());
+      if (actions.length || extras.links.length) {
+        const links = createElement("div", "nx-chat__links");
+        actions.forEach((action) => {
+          const button = createElement("button", "nx-chat__link nx-chat__link--booking", { type: "button" });
+          button.append(createIcon("fa-calendar-check"), ` ${action.label || t("Agendar cita")}`);
+          button.addEventListener("click", openBooking);
+          links.appendChild(button);
+        });
+        extras.links.forEach((link) => links.appendChild(createLink(link.url, link.label, "nx-chat__link")));
+        body.appendChild(links);
+      }
+      if (extras.quickReplies.length) {
+        const replies = createElement("div", "nx-chat__replies");
+        replies.append(...extras.quickReplies.map((reply) => createReplyButton(reply, "nx-chat__chip")));
+        body.appendChild(replies);
+      }
+      if (body.children.length) {
+        row.appendChild(body);
+        messages.appendChild(row);
+        messages.scrollTop = messages.scrollHeight;
+      }
+      if (extras.actions.some((action) => action.type === "lead_form")) addLeadForm();
+    }
+
+    function createField(form, formId, name, label, control) {
+      const id = `${formId}-${name}`;
+      const field = createElement("div", "nx-chat__field");
+      const caption = createElement("label", "", { for: id });
+      caption.textContent = label;
+      const error = createElement("small", "nx-chat__field-error", { id: `${id}-error` });
+      control.id = id;
+      control.name = name;
+      control.setAttribute("aria-describedby", error.id);
+      field.append(caption, control, error);
+      form.appendChild(field);
+      return field;
+    }
+
+    // Formulario de contacto dentro del chat: lo pide el bot (lead_form) o aparece al escribir un email o telefono
+    function addLeadForm(prefill = {}) {
+      if (leadSent) return;
+      const open = messages.querySelector(".nx-chat__lead");
+      if (open) {
+        ["email", "phone"].forEach((name) => {
+          if (prefill[name] && !open.elements[name].value) open.elements[name].value = prefill[name];
+        });
+        return;
+      }
+      formCount += 1;
+      const formId = `nx-chat-lead-${formCount}`;
+      const row = createElement("div", "nx-chat__row nx-chat__row--bot nx-chat__row--form");
+      const avatar = createElement("div", "nx-chat__avatar");
+      avatar.appendChild(createIcon("fa-address-card"));
+      const form = createElement("form", "nx-chat__lead", { novalidate: "", "aria-labelledby": `${formId}-title` });
+      const title = createElement("strong", "", { id: `${formId}-title` });
+      title.textContent = t("Déjanos tus datos y te contactamos");
+      form.appendChild(title);
+      const text = (name, label, type, autocomplete, value = "") => {
+        const control = createElement("input", "", { type, autocomplete });
+        control.value = value;
+        createField(form, formId, name, label, control);
+      };
+      text("name", t("Nombre"), "text", "name");
+      text("company", t("Empresa (opcional)"), "text", "organization");
+      text("sector", t("Sector (opcional)"), "text", "off");
+      text("email", t("Email"), "email", "email", prefill.email);
+      text("phone", t("Teléfono"), "tel", "tel", prefill.phone);
+      const channel = createElement("select");
+      [["whatsapp", "WhatsApp"], ["phone", t("Llamada")], ["email", t("Email")]].forEach(([value, label]) => {
+        const option = createElement("option", "", { value });
+        option.textContent = label;
+        channel.appendChild(option);
+      });
+      if (prefill.email && !prefill.phone) channel.value = "email";
+      createField(form, formId, "channel", t("¿Cómo prefieres que te contactemos?"), channel);
+
+      createConsent(form, formId, t("Acepto que NOVAIX use estos datos para contactarme, según la"));
+      const { formError, submit } = createFormButtons(row, form, t("Enviar datos"), t("Ahora no"));
+      form.addEventListener("submit", (event) => {
+        event.preventDefault();
+        submitLead(row, form, formError, submit);
+      });
+      row.append(avatar, form);
+      messages.appendChild(row);
+      messages.scrollTop = messages.scrollHeight;
+      form.elements.name.focus();
+    }
+
+    // Casilla de consentimiento con enlace a la politica de privacidad; nunca viene marcada
+    function createConsent(form, formId, text) {
+      const consent = createElement("div", "nx-chat__field nx-chat__field--check");
+      const checkbox = createElement("input", "", { type: "checkbox", id: `${formId}-privacy`, name: "privacy", "aria-describedby": `${formId}-privacy-error` });
+      const consentLabel = createElement("label", "", { for: checkbox.id });
+      const policy = createElement("a", "", { href: new URL("privacy/", scriptUrl).href, target: "_blank", rel: "noopener" });
+      policy.textContent = t("política de privacidad");
+      consentLabel.append(`${text} `, policy, ".");
+      const consentError = createElement("small", "nx-chat__field-error", { id: `${formId}-privacy-error` });
+      consent.append(checkbox, consentLabel, consentError);
+      form.appendChild(consent);
+    }
+
+    function createFormButtons(row, form, submitLabel, dismissLabel) {
+      const formError = createElement("p", "nx-chat__form-error", { role: "alert" });
+      const buttons = createElement("div", "nx-chat__links");
+      const submit = createElement("button", "nx-chat__link nx-chat__link--booking", { type: "submit" });
+      submit.textContent = submitLabel;
+      const dismiss = createElement("button", "nx-chat__link", { type: "button" });
+      dismiss.textContent = dismissLabel;
+      buttons.append(submit, dismiss);
+      form.append(formError, buttons);
+      dismiss.addEventListener("click", () => {
+        row.remove();
+        input.focus();
+      });
+      return { formError, submit };
+    }
+
+    // Marca los campos con error y devuelve el primero, o null si el formulario es valido
+    function showErrors(form, errors) {
+      form.querySelectorAll("[aria-describedby]").forEach((control) => {
+        const message = errors[control.name] || "";
+        document.getElementById(control.getAttribute("aria-describedby")).textContent = message;
+        control.toggleAttribute("aria-invalid", Boolean(message));
+      });
+      return form.querySelector("[aria-invalid]");
+    }
+
+    async function submitLead(row, form, formError, submit) {
+      const value = (name) => form.elements[name].value.trim();
+      const lead = {
+        name: value("name"),
+        company: value("company"),
+        sector: value("sector"),
+        email: value("email"),
+        phone: value("phone"),
+        channel: value("channel"),
+        privacy: form.elements.privacy.checked
+      };
+      const firstInvalid = showErrors(form, validateLead(lead));
+      formError.textContent = "";
+      if (firstInvalid) {
+        firstInvalid.focus();
+        return;
+      }
+      submit.disabled = true;
+      const event = {
+        type: "lead",
+        sessionId,
+        requestId: createId(),
+        source: config.source,
+        lead: {
+          name: lead.name,
+          company: lead.company || null,
+          sector: lead.sector || config.sector || null,
+          email: lead.email || null,
+          phone: normalizePhone(lead.phone),
+          channel: lead.channel
+        },
+        consent: { privacy: true, policyUrl: new URL("privacy/", scriptUrl).href, at: new Date().toISOString() },
+        context: {
+          page: window.location.href,
+          referrer: document.referrer || null,
+          language: document.documentElement.lang || null,
+          sector: config.sector,
+          utm: readUtm()
+        }
+      };
+      try {
+        await postWithRetry(webhookUrl, JSON.stringify(event), {
+          signal: new AbortController().signal,
+          settings: transport,
+          read: () => null
+        });
+        leadSent = true;
+        lastEmail = lead.email || lastEmail;
+        tracker.track("novaix_chat_lead_submitted", { lead_channel: lead.channel, lead_sector: event.lead.sector });
+        row.remove();
+        const channels = { whatsapp: "WhatsApp", phone: t("teléfono"), email: t("email") };
+        const bubble = addMessage(t("Gracias, {name}. Te contactaremos por {channel} en horario laboral.", { name: lead.name, channel: channels[lead.channel] }), "bot");
+        history.append("bot", bubble.textContent);
+        announce(bubble.textContent);
+        input.focus();
+      } catch (err) {
+        console.error(err);
+        submit.disabled = false;
+        formError.textContent = err.kind === "offline"
+          ? t("Sin conexión. Revisa tu conexión e inténtalo de nuevo.")
+          : t("No hemos podido enviar tus datos. Inténtalo de nuevo.");
+      }
+    }
+
+    // aria-busy en los mensajes y el estado en la barra (role="status"); si el foco estaba en el campo
+    // de texto pasa a Detener, y vuelve al campo al terminar
+    function setBusy(isBusy) {
+      const hadFocus = box.contains(document.activeElement) && [input, sendBtn, stopBtn].includes(document.activeElement);
+      messages.setAttribute("aria-busy", isBusy ? "true" : "false");
+      input.disabled = isBusy;
+      sendBtn.disabled = isBusy;
+      sendBtn.hidden = isBusy;
+      stopBtn.hidden = !isBusy;
+      ui.chips.forEach((chip) => { chip.disabled = isBusy; });
+      if (isBusy) statusBar.textContent = handoff ? t("Enviando mensaje...") : t("La IA está pensando...");
+      else statusBar.textContent = handoff ? handoffStatus() : t("Listo para responder");
+      if (hadFocus) (isBusy && !stopBtn.hidden ? stopBtn : input).focus();
+    }
+
+    // Mensajes reales de la conversacion (sin avisos, errores, formularios ni bloques estructurados)
+    function transcript() {
+      const skip = ["nx-chat__row--loading", "nx-chat__row--extras", "nx-chat__row--error", "nx-chat__row--form"];
+      return Array.from(messages.querySelectorAll(".nx-chat__row"))
+        .filter((row) => !skip.some((name) => row.classList.contains(name)))
+        .map((row) => {
+          const bubble = row.querySelector(".nx-chat__bubble");
+          const role = ["user", "agent"].find((name) => row.classList.contains(`nx-chat__row--${name}`)) || "bot";
+          return { role, author: role === "user" ? t("Tú") : bubble.dataset.author, text: bubble.textContent.trim(), at: Number(row.dataset.at) };
+        })
+        .filter((item) => item.text);
+    }
+
+    function hasConversation() {
+      return transcript().some((item) => item.role === "user");
+    }
+
+    function exportTranscript(format) {
+      const title = t("Conversación con NOVAIX");
+      const name = `novaix-chat-${new Date().toISOString().slice(0, 10)}`;
+      if (format === "html") downloadFile(`${name}.html`, "text/html;charset=utf-8", transcriptHtml(transcript(), title));
+      else downloadFile(`${name}.txt`, "text/plain;charset=utf-8", transcriptText(transcript(), title));
+    }
+
+    // Envio por email: solo con el email del visitante y la casilla de consentimiento marcada
+    function addTranscriptForm() {
+      if (messages.querySelector(".nx-chat__transcript")) return;
+      formCount += 1;
+      const formId = `nx-chat-transcript-${formCount}`;
+      const row = createElement("div", "nx-chat__row nx-chat__row--bot nx-chat__row--form");
+      const avatar = createElement("div", "nx-chat__avatar");
+      avatar.appendChild(createIcon("fa-envelope"));
+      const form = createElement("form", "nx-chat__lead nx-chat__transcript", { novalidate: "", "aria-labelledby": `${formId}-title` });
+      const title = createElement("strong", "", { id: `${formId}-title` });
+      title.textContent = t("Te enviamos esta conversación por email");
+      form.appendChild(title);
+      const email = createElement("input", "", { type: "email", autocomplete: "email" });
+      email.value = lastEmail;
+      createField(form, formId, "email", t("Email"), email);
+      createConsent(form, formId, t("Acepto que NOVAIX use mi email para enviarme esta conversación, según la"));
+      const { formError, submit } = createFormButtons(row, form, t("Enviar"), t("Cancelar"));
+      form.addEventListener("submit", (event) => {
+        event.preventDefault();
+        submitTranscript(row, form, formError, submit);
+      });
+      row.append(avatar, form);
+      messages.appendChild(row);
+      messages.scrollTop = messages.scrollHeight;
+      email.focus();
+    }
+
+    async function submitTranscript(row, form, formError, submit) {
+      const email = form.elements.email.value.trim();
+      const errors = {};
+      if (!new RegExp(`^${EMAIL_PATTERN.source}$`, "i").test(email)) errors.email = t("Revisa el email.");
+      if (!form.elements.privacy.checked) errors.privacy = t("Necesitamos tu consentimiento para enviarte la conversación.");
+      const firstInvalid = showErrors(form, errors);
+      formError.textContent = "";
+      if (firstInvalid) {
+        firstInvalid.focus();
+        return;
+      }
+      submit.disabled = true;
+      const event = {
+        type: "transcript_email",
+        sessionId,
+        requestId: createId(),
+        source: config.source,
+        email,
+        consent: { privacy: true, policyUrl: new URL("privacy/", scriptUrl).href, at: new Date().toISOString() },
+        transcript: transcript().map((item) => ({ ...item, at: new Date(item.at).toISOString() })),
+        context: { page: window.location.href, language: document.documentElement.lang || null }
+      };
+      try {
+        await postWithRetry(webhookUrl, JSON.stringify(event), {
+          signal: new AbortController().signal,
+          settings: transport,
+          read: () => null
+        });
+        lastEmail = email;
+        row.remove();
+        addNotice(t("Te hemos enviado la conversación a {email}.", { email }));
+        input.focus();
+      } catch (err) {
+        console.error(err);
+        submit.disabled = false;
+        formError.textContent = err.kind === "offline"
+          ? t("Sin conexión. Revisa tu conexión e inténtalo de nuevo.")
+          : t("No hemos podido enviar la conversación. Inténtalo de nuevo.");
+      }
+    }
+
+    function toggleMenu(force) {
+      const show = force ?? ui.menu.hidden;
+      ui.menu.hidden = !show;
+      ui.menuBtn.setAttribute("aria-expanded", show ? "true" : "false");
+      if (!show) return;
+      const available = hasConversation();
+      ui.menuItems.forEach((item) => { item.disabled = !available; });
+      (available ? ui.menuItems[0] : ui.menuBtn).focus();
+      if (!available) statusBar.textContent = t("Escribe algún mensaje antes de guardar la conversación.");
+    }
+
+    // Atencion humana: el estado vive en sessionStorage para seguir la conversacion al cambiar de pagina
+    function saveHandoff() {
+      try {
+        if (handoff) sessionStorage.setItem(HANDOFF_KEY, JSON.stringify({ sessionId, status: handoff.status, cursor: handoff.cursor, agent: handoff.agent }));
+        else sessionStorage.removeItem(HANDOFF_KEY);
+      } catch {
+        // Sin almacenamiento la atencion humana dura lo que la pagina
+      }
+    }
+
+    function savedHandoff() {
+      try {
+        const saved = JSON.parse(sessionStorage.getItem(HANDOFF_KEY) || "null");
+        return saved?.sessionId === sessionId ? saved : null;
+      } catch {
+        return null;
+      }
+    }
+
+    function handoffStatus() {
+      return handoff.status === "connected"
+        ? t("Estás hablando con el equipo de NOVAIX")
+        : t("Conectando con el equipo...");
+    }
+
+    // Fuera de horario no se abre la conversacion: se ofrecen email y WhatsApp
+    function addContactOptions() {
+      const bubble = addMessage(t("Ahora mismo el equipo no está disponible. Escríbenos y te respondemos en horario laboral."), "bot");
+      const links = [];
+      if (config.contact?.email) {
+        links.push({ label: t("Escribir un email"), url: safeUrl(`mailto:${config.contact.email}?subject=${encodeURIComponent(t("Consulta desde el chat de NOVAIX"))}`) });
+      }
+      if (config.contact?.whatsapp) {
+        links.push({ label: "WhatsApp", url: safeUrl(`https://wa.me/${String(config.contact.whatsapp).replace(/\D/g, "")}`) });
+      }
+      history.append("bot", bubble.textContent);
+      announce(bubble.textContent);
+      addExtras({ quickReplies: [], links: links.filter((link) => link.url), cards: [], actions: [] });
+    }
+
+    function startHandoff(info, saved = null) {
+      if (!saved && (!agentUrl || !info.available || !isWithinHours(config.businessHours))) {
+        tracker.track("novaix_chat_handoff", { handoff_status: "unavailable" });
+        addContactOptions();
+        return;
+      }
+      if (!saved) tracker.track("novaix_chat_handoff", { handoff_status: "requested" });
+      handoff = { status: saved?.status || "waiting", cursor: saved?.cursor ?? null, agent: saved?.agent || info.agent, seen: new Set() };
+      root.classList.add("nx-chat--handoff");
+      if (!saved) addNotice(t("Conectando con el equipo..."));
+      statusBar.textContent = handoffStatus();
+      saveHandoff();
+      pollAgent(handoff);
+    }
+
+    function stopHandoff(notice) {
+      if (!handoff) return;
+      handoff.controller?.abort();
+      handoff = null;
+      saveHandoff();
+      root.classList.remove("nx-chat--handoff");
+      if (notice) {
+        addNotice(notice);
+        statusBar.textContent = t("Listo para responder");
+      }
+    }
+
+    function applyAgentUpdate(state, data) {
+      if (data?.status === "connected" && state.status !== "connected") {
+        state.status = "connected";
+        state.agent = cleanText(data.agent?.name ?? data.agent, 60) || state.agent;
+        tracker.track("novaix_chat_handoff", { handoff_status: "connected" });
+        addNotice(state.agent
+          ? t("{name} se ha unido a la conversación", { name: state.agent })
+          : t("Una persona del equipo se ha unido a la conversación"));
+        if (!activeReply) statusBar.textContent = handoffStatus();
+      }
+      (Array.isArray(data?.messages) ? data.messages : []).forEach((message) => {
+        const text = typeof message?.text === "string" ? message.text.trim() : "";
+        if (!text || (message.id != null && state.seen.has(message.id))) return;
+        if (message.id != null) state.seen.add(message.id);
+        const author = cleanText(message.author?.name ?? message.author, 60) || state.agent;
+        addMessage(text, "agent", author);
+        history.append("agent", text, author);
+        announce(`${author || t("Equipo NOVAIX")}: ${text}`);
+      });
+      if (data?.cursor != null) state.cursor = String(data.cursor);
+      if (data?.status === "closed") {
+        tracker.track("novaix_chat_handoff", { handoff_status: "closed" });
+        stopHandoff(t("La conversación con el equipo ha terminado. Puedes seguir hablando con el asistente."));
+        return;
+      }
+      saveHandoff();
+    }
+
+    // Long-poll: el servidor puede retener la peticion hasta LONG_POLL_WAIT segundos; si contesta al momento
+    // se espera POLL_INTERVAL y, si falla, se espacia cada vez mas
+    async function pollAgent(state) {
+      let failures = 0;
+      while (handoff === state) {
+        const startedAt = Date.now();
+        const controller = new AbortController();
+        state.controller = controller;
+        const timer = setTimeout(() => controller.abort(), (LONG_POLL_WAIT + 5) * 1000);
+        try {
+          const url = new URL(agentUrl, window.location.href);
+          url.searchParams.set("sessionId", sessionId);
+          url.searchParams.set("wait", String(LONG_POLL_WAIT));
+          if (state.cursor != null) url.searchParams.set("after", state.cursor);
+          const res = await fetch(url, { headers: { Accept: "application/json" }, signal: controller.signal });
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+          const data = await res.json();
+          if (handoff !== state) return;
+          applyAgentUpdate(state, data);
+          failures = 0;
+        } catch (err) {
+          if (handoff !== state) return;
+          failures += 1;
+          if (failures === 1) console.error(err);
+        } finally {
+          clearTimeout(timer);
+        }
+        const pause = failures
+          ? Math.min(30000, POLL_INTERVAL * 2 ** failures)
+          : Math.max(0, POLL_INTERVAL - (Date.now() - startedAt));
+        await new Promise((resolve) => setTimeout(resolve, pause));
+      }
+    }
+
+    // Limite de envios en el cliente: un intervalo minimo y un maximo por minuto
+    function throttled() {
+      const now = Date.now();
+      sentAt = sentAt.filter((time) => now - time < 60000);
+      return now - (sentAt[sentAt.length - 1] || 0) < transport.minInterval || sentAt.length >= transport.maxPerMinute;
+    }
+
+    // Sin conexion los mensajes esperan en cola y salen en orden al volver el evento "online"
+    function enqueue(entry) {
+      entry.bubble.classList.add("nx-chat__bubble--pending");
+      queue.push(entry);
+      statusBar.textContent = t("Sin conexión. Enviaremos tu mensaje al recuperar la conexión.");
+    }
+
+    function flushQueue() {
+      if (activeReply || !queue.length || navigator.onLine === false) return;
+      const entry = queue.shift();
+      entry.bubble.classList.remove("nx-chat__bubble--pending");
+      dispatch(entry).then(flushQueue);
+    }
+
+    // Durante la atencion humana los mensajes van a la persona del equipo, no al asistente
+    function dispatch(entry) {
+      return handoff ? deliverToAgent(entry) : deliver(entry);
+    }
+
+    function addError(entry, error, partial) {
+      const row = createElement("div", "nx-chat__row nx-chat__row--bot nx-chat__row--error");
+      const avatar = createElement("div", "nx-chat__avatar");
+      avatar.appendChild(createIcon("fa-triangle-exclamation"));
+      const bubble = createElement("div", "nx-chat__bubble");
+      const text = createElement("p");
+      text.textContent = error.kind === "timeout"
+        ? t("El asistente está tardando demasiado en responder.")
+        : t("No hemos podido enviar tu mensaje. Inténtalo de nuevo en unos segundos.");
+      const retry = createElement("button", "nx-chat__link", { type: "button" });
+      retry.append(createIcon("fa-rotate-right"), ` ${t("Reintentar")}`);
+      retry.addEventListener("click", () => {
+        if (activeReply) return;
+        row.remove();
+        partial?.parentElement.remove();
+        dispatch(entry).then(flushQueue);
+      });
+      bubble.append(text, retry);
+      row.append(avatar, bubble);
+      messages.appendChild(row);
+      messages.scrollTop = messages.scrollHeight;
+      announce(text.textContent);
+    }
+
+    // origin: "text", "chip" o "quick_reply", solo para la analitica
+    function send(text, quickReply = null, origin = "text") {
+      if (activeReply) return;
+      if (throttled()) {
+        statusBar.textContent = t("Espera unos segundos antes de enviar otro mensaje.");
+        return;
+      }
+      if (queue.length >= QUEUE_LIMIT) {
+        statusBar.textContent = t("Sin conexión. Enviaremos tu mensaje al recuperar la conexión.");
+        return;
+      }
+      sentAt.push(Date.now());
+      tracker.trackStart({ chat_input: origin });
+      messages.querySelectorAll(".nx-chat__replies").forEach((replies) => replies.remove());
+      const bubble = addMessage(text, "user");
+      history.append("user", text);
+      input.value = "";
+      // requestId se repite en los reintentos para que n8n pueda descartar duplicados
+      const entry = { text, quickReply, bubble, requestId: createId(), conversation: sessionId };
+      const contact = handoff ? null : readContact(text);
+      if (navigator.onLine === false) enqueue(entry);
+      else {
+        dispatch(entry)
+          .then(() => {
+            if (contact && sessionId === entry.conversation) addLeadForm(contact);
+          })
+          .then(flushQueue);
+      }
+    }
+
+    function handleFailure(entry, err, partial) {
+      if (err.kind === "cancelled") {
+        // Se conserva lo recibido hasta cancelar
+        statusBar.textContent = t("Respuesta cancelada");
+        input.focus();
+      } else if (err.kind === "offline" && !partial) {
+        tracker.track("novaix_chat_error", { error_kind: "offline", error_status: null });
+        enqueue(entry);
+      } else {
+        console.error(err);
+        tracker.track("novaix_chat_error", { error_kind: err.kind || "network", error_status: err.status || null });
+        addError(entry, err, partial);
+        statusBar.textContent = t("Error de conexión");
+      }
+    }
+
+    async function deliverToAgent(entry) {
+      setBusy(true);
+      const controller = new AbortController();
+      activeReply = controller;
+      try {
+        await postWithRetry(agentUrl, JSON.stringify({ sessionId, requestId: entry.requestId, message: entry.text }), {
+          signal: controller.signal,
+          settings: transport,
+          read: () => null
+        });
+        setBusy(false);
+        input.focus();
+      } catch (err) {
+        if (sessionId !== entry.conversation) return;
+        setBusy(false);
+        handleFailure(entry, err, null);
+      } finally {
+        if (activeReply === controller) activeReply = null;
+      }
+    }
+
+    async function deliver(entry) {
+      setBusy(true);
+      const loading = addLoadingMessage();
+      const controller = new AbortController();
+      activeReply = controller;
+      let bubble = null;
+      let extras = null;
+      let handoffInfo = null;
+      const addChunk = (chunk) => {
+        extras = mergeExtras(extras, chunk.extras);
+        handoffInfo = chunk.handoff || handoffInfo;
+      };
+      const showReply = (token, replace) => {
+        if (!bubble) {
+          loading.remove();
+          bubble = addMessage("", "bot");
+          bubble.classList.add("nx-chat__bubble--streaming");
+          statusBar.textContent = t("La IA está respondiendo...");
+        }
+        bubble.textContent = replace ? token : bubble.textContent + token;
+        messages.scrollTop = messages.scrollHeight;
+      };
+      const body = JSON.stringify({
+        message: entry.text,
+        sessionId,
+        requestId: entry.requestId,
+        source: config.source,
+        stream: true,
+        ...(entry.quickReply ? { quickReply: entry.quickReply } : {}),
+        metadata: { page: window.location.href, sector: config.sector }
+      });
+      try {
+        await postWithRetry(webhookUrl, body, {
+          signal: controller.signal,
+          settings: transport,
+          onRetry: () => {
+            statusBar.textContent = t("Reintentando...");
+          },
+          read: async (res, touch) => {
+            const onToken = (token, replace) => {
+              touch();
+              showReply(token, replace);
+            };
+            const streamed = await streamReply(res, onToken, addChunk);
+            if (!streamed) {
+              // Un cuerpo vacio, que no es JSON o que no es un objeto (null, un numero...) cuenta como respuesta vacia
+              const parsed = await res.json().catch(() => null);
+              const data = parsed && typeof parsed === "object" ? parsed : {};
+              if (data.reply) showReply(data.reply, true);
+              addChunk({ extras: readExtras(data), handoff: readHandoff(data) });
+            }
+          }
+        });
+        if (bubble?.textContent) history.append("bot", bubble.textContent);
+        else if (!extras && !handoffInfo) showReply(t("No he recibido respuesta de la IA. Intenta de nuevo."), true);
+        loading.remove();
+        setBusy(false);
+        input.focus();
+        announce(bubble?.textContent);
+        if (extras) addExtras(extras);
+        if (handoffInfo) startHandoff(handoffInfo);
+      } catch (err) {
+        loading.remove();
+        // Una conversacion nueva cancela la respuesta pendiente: no se mezcla con el historial nuevo
+        if (sessionId !== entry.conversation) return;
+        setBusy(false);
+        if (bubble?.textContent) history.append("bot", bubble.textContent);
+        handleFailure(entry, err, bubble);
+      } finally {
+        bubble?.classList.remove("nx-chat__bubble--streaming");
+        if (activeReply === controller) activeReply = null;
+      }
+    }
+
+    function clearMessages() {
+      activeReply?.abort();
+      stopHandoff();
+      queue = [];
+      Array.from(messages.children).slice(1).forEach((row) => row.remove());
+      setBusy(false);
+    }
+
+    function reset() {
+      sessionId = history.reset();
+      leadSent = false;
+      clearMessages();
+    }
+
+    fab.addEventListener("click", () => open("button"));
+    ui.menuBtn.addEventListener("click", () => toggleMenu());
+    ui.menuItems.forEach((item) => item.addEventListener("click", () => {
+      toggleMenu(false);
+      if (item.dataset.action === "email") addTranscriptForm();
+      else exportTranscript(item.dataset.action === "download-html" ? "html" : "text");
+    }));
+    // Menu con flechas y Escape, y se cierra al pulsar fuera
+    ui.menu.addEventListener("keydown", (event) => {
+      const index = ui.menuItems.indexOf(document.activeElement);
+      if (event.key === "Escape") {
+        event.stopPropagation();
+        toggleMenu(false);
+        ui.menuBtn.focus();
+      } else if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+        event.preventDefault();
+        const step = event.key === "ArrowDown" ? 1 : -1;
+        ui.menuItems[(index + step + ui.menuItems.length) % ui.menuItems.length].focus();
+      }
+    });
+    document.addEventListener("click", (event) => {
+      if (!ui.menu.hidden && !ui.menu.contains(event.target) && !ui.menuBtn.contains(event.target)) toggleMenu(false);
+    });
+    ui.closeBtn.addEventListener("click", () => close());
+    ui.fullBtn.addEventListener("click", () => setFull(!root.classList.contains("nx-chat--full")));
+    // Escape cierra el chat (el menu lo gestiona antes) y devuelve el foco al boton flotante
+    box.addEventListener("keydown", (event) => {
+      if (event.key === "Escape") {
+        event.preventDefault();
+        close();
+      } else if (event.key === "Tab" && root.classList.contains("nx-chat--full")) {
+        trapFocus(event);
+      }
+    });
+    // El foco que sale del chat a pantalla completa vuelve a el, salvo si va a otro dialogo abierto encima
+    // (las preferencias de cookies, la agenda) o al aviso de cookies de consent.js
+    document.addEventListener("focusin", (event) => {
+      const isModal = root.classList.contains("nx-chat--open") && root.classList.contains("nx-chat--full");
+      if (!isModal || box.contains(event.target) || event.target.closest?.("[role='dialog'], .nx-consent")) return;
+      input.disabled ? ui.closeBtn.focus() : input.focus();
+    });
+    ui.resetBtn.addEventListener("click", () => {
+      reset();
+      input.focus();
+    });
+    ui.chips.forEach((chip) => chip.addEventListener("click", () => {
+      tracker.track("novaix_chat_quick_chip", { chip_type: "chip", chip_label: chip.textContent.trim() });
+      send(chip.dataset.prompt || chip.textContent, null, "chip");
+    }));
+    ui.form.addEventListener("submit", (event) => {
+      event.preventDefault();
+      const value = input.value.trim();
+      if (value) send(value);
+    });
+    stopBtn.addEventListener("click", () => activeReply?.abort());
+    // Historial borrado por el consentimiento: se toma el sessionId vigente (nuevo si consent.js borro novaix_session)
+    window.addEventListener(history.clearedEvent, () => {
+      sessionId = history.sessionId();
+      clearMessages();
+    });
+    window.addEventListener("online", flushQueue);
+    // consent.js avisa tambien de lo decidido en otra pestana
+    window.addEventListener(CONSENT_EVENT, tracker.sync);
+    window.addEventListener("pagehide", tracker.flushMetrics);
+    tracker.sync();
+
+    addMessage(config.greeting, "bot");
+    history.load().forEach((item) => addMessage(item.text, item.role, item.author, item.at));
+    const resumed = savedHandoff();
+    if (resumed && agentUrl) startHandoff({ available: true, agent: resumed.agent }, resumed);
+
+    root.hidden = true;
+    loadStylesheet().then(() => { root.hidden = false; });
+    document.body.appendChild(root);
+
+    instance = { open, close, reset, send, openLeadForm: addLeadForm, element: root };
+    return instance;
+  }
+
+  window.novaixMountChat = mount;
+})();
@@ -0,0 +1,452 @@
+(() => {
+  // Consentimiento unico para la web y las landings: un registro en localStorage (novaix_consent) con
+  // las categorias, el banner y el dialogo de preferencias comunes (consent.css) y los cargadores de
+  // scripts suscritos con novaixConsent.onGrant(categoria, callback) en lugar de leer localStorage.
+  //   necessary   idioma, chat y esta eleccion; siempre activas
+  //   preferences guardar la conversacion del chat entre paginas (chat-history.js)
+  //   scheduling  Calendly
+  //   analytics   Google Tag Manager y eventos del chat
+  //   marketing   Meta Pixel
+  // Cada cambio se avisa con el evento novaix:consent-change en window (detail: registro). Cualquier
+  // elemento con [data-consent-settings] (el enlace "Configurar cookies" de los pies) abre las preferencias.
+  // Retirar una categoria queda anotado en el registro (withdrawn), borra sus identificadores y, si sus
+  // scripts ya se cargaron en esta pagina, la recarga para que dejen de ejecutarse.
+  // El registro guarda la version de la politica aceptada; al cambiar POLICY_VERSION se vuelve a preguntar y la
+  // nueva eleccion se compara con las categorias del registro anterior para borrar lo que ya no se concede.
+  // Con la analitica aceptada, y siempre que se retira una categoria, cada eleccion envia un recibo anonimo
+  // (sin sesion ni navegador) al endpoint de data-receipts en la etiqueta del script; sin ese atributo no se envia
+  // nada. En local se puede apuntar al mock de tools/mock-consent-receipts.mjs con
+  // localStorage.novaix_consent_receipt_endpoint.
+  // Google Consent Mode v2: al cargar se envia a dataLayer el estado por defecto (todo denegado) antes que
+  // cualquier evento y cada eleccion lo actualiza segun GOOGLE_SIGNALS. Cada pagina decide si GTM carga
+  // desde el inicio o solo con permiso (GTM_CONSENT_MODE en su cargador).
+  const POLICY_VERSION = "2026-10-19";
+  const STORAGE_KEY = "novaix_consent";
+  const CHANGE_EVENT = "novaix:consent-change";
+  const STYLESHEET_ID = "novaix-consent-styles";
+  const CATEGORIES = ["necessary", "preferences", "scheduling", "analytics", "marketing"];
+  const OPTIONAL = CATEGORIES.filter((category) => category !== "necessary");
+  // Claves anteriores al registro versionado: no dicen que politica se acepto, asi que se borran y se vuelve a preguntar
+  const LEGACY_KEYS = [
+    "novaix_calendly_consent",
+    "novaix_landing_consent",
+    "novaix_sector_cookie_notice",
+    "novaix_beauty_cookie_notice",
+    "novaix_hair_cookie_notice",
+    "novaix_physio_cookie_notice",
+    "novaix_realestate_cookie_notice",
+    "novaix_workshop_cookie_notice",
+    "novaix_gym_cookie_notice",
+    "novaix_clinic_cookie_notice"
+  ];
+  // Identificadores propios que se borran al retirar cada categoria: claves de almacenamiento y cookies
+  // que GTM y Meta Pixel dejan en este dominio
+  const IDENTIFIERS = {
+    preferences: {
+      local: ["novaix_chat_history"]
+    },
+    analytics: {
+      local: ["novaix_session"],
+      session: ["novaix_chat_started_tracked", "novaix_chat_events"],
+      cookies: [/^_ga(_|$)/, /^_gid$/, /^_gat/]
+    },
+    marketing: {
+      local: ["novaix_session"],
+      session: ["novaix_utm"],
+      cookies: [/^_fbp$/, /^_fbc$/, /^_gcl_/]
+    }
+  };
+  const LABELS = {
+    necessary: ["Necesarias", "Idioma, funcionamiento del chat y esta elección. Siempre activas."],
+    preferences: ["Preferencias", "Guardar la conversación del chat hasta 7 días para retomarla en otras páginas."],
+    scheduling: ["Agenda", "Calendly, para reservar una cita desde la web."],
+    analytics: ["Analítica", "Google Tag Manager y eventos del chat, para medir el uso de la web."],
+    marketing: ["Marketing", "Meta Pixel, para medir las campañas publicitarias."]
+  };
+  const GOOGLE_SIGNALS = {
+    ad_storage: "marketing",
+    analytics_storage: "analytics",
+    ad_user_data: "marketing",
+    ad_personalization: "marketing"
+  };
+  const scriptUrl = document.currentScript?.src || window.location.href;
+  const receiptUrl = document.currentScript?.dataset.receipts || "";
+  const grantCallbacks = new Map(CATEGORIES.map((category) => [category, []]));
+  const loadedCategories = new Set();
+  const listeners = new Set();
+  let record = null;
+  let ui = null;
+  let lastFocused = null;
+
+  // Registro guardado de cualquier version de la politica
+  function readStored() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+      return saved?.categories ? saved : null;
+    } catch {
+      return null;
+    }
+  }
+
+  function readRecord() {
+    const saved = readStored();
+    return saved?.version === POLICY_VERSION ? saved : null;
+  }
+
+  function writeRecord(value) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(value));
+    } catch {
+      // Sin almacenamiento la eleccion dura lo que la pagina
+    }
+  }
+
+  function createId() {
+    if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  // withdrawn: categorias que estaban concedidas (aunque fuera con otra version de la politica) y dejan de
+  // estarlo con esta eleccion
+  function createRecord(granted, previous = null) {
+    const categories = Object.fromEntries(CATEGORIES.map((category) => [category, category === "necessary" || granted.includes(category)]));
+    const accepted = OPTIONAL.filter((category) => categories[category]).length;
+    const withdrawn = OPTIONAL.filter((category) => previous?.categories[category] && !categories[category]);
+    return {
+      version: POLICY_VERSION,
+      id: createId(),
+      categories,
+      choice: accepted === OPTIONAL.length ? "all" : accepted ? "custom" : "none",
+      at: new Date().toISOString(),
+      page: window.location.pathname,
+      ...(withdrawn.length ? { withdrawn } : {})
+    };
+  }
+
+  // Recibo anonimo de la eleccion: el id es del recibo, no del visitante. Las retiradas se envian aunque la
+  // analitica no este concedida, para poder acreditarlas
+  function sendReceipt(value) {
+    const isLocalHost = ["localhost", "127.0.0.1"].includes(window.location.hostname);
+    let endpoint = receiptUrl;
+    try {
+      if (isLocalHost) endpoint = localStorage.getItem("novaix_consent_receipt_endpoint") || endpoint;
+    } catch {
+      // Sin almacenamiento se usa el endpoint de la etiqueta
+    }
+    if (!endpoint || !(value.categories.analytics || value.withdrawn) || typeof fetch !== "function") return;
+    const receipt = {
+      type: "consent_receipt",
+      receiptId: value.id,
+      policyVersion: value.version,
+      categories: value.categories,
+      choice: value.choice,
+      at: value.at,
+      page: value.page,
+      language: document.documentElement.lang || "es",
+      ...(value.withdrawn ? { withdrawn: value.withdrawn } : {})
+    };
+    fetch(endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(receipt),
+      keepalive: true
+    }).catch(() => {
+      // El recibo no bloquea la eleccion; queda el registro local
+    });
+  }
+
+  function clearCookies(patterns) {
+    const host = window.location.hostname;
+    const domains = ["", `; domain=${host}`, `; domain=.${host.split(".").slice(-2).join(".")}`];
+    document.cookie.split(";").map((cookie) => cookie.split("=")[0].trim())
+      .filter((name) => name && patterns.some((pattern) => pattern.test(name)))
+      .forEach((name) => domains.forEach((domain) => {
+        document.cookie = `${name}=; Max-Age=0; path=/${domain}`;
+      }));
+  }
+
+  function clearIdentifiers(categories) {
+    categories.forEach((category) => {
+      const { local = [], session = [], cookies = [] } = IDENTIFIERS[category] || {};
+      try {
+        local.forEach((key) => localStorage.removeItem(key));
+        session.forEach((key) => sessionStorage.removeItem(key));
+      } catch {
+        // Sin almacenamiento no hay identificadores guardados
+      }
+      clearCookies(cookies);
+    });
+  }
+
+  function clearLegacy() {
+    try {
+      LEGACY_KEYS.forEach((key) => localStorage.removeItem(key));
+    } catch {
+      // Sin almacenamiento no hay nada que borrar
+    }
+  }
+
+  function get() {
+    return record;
+  }
+
+  function has(category) {
+    return category === "necessary" || Boolean(record?.categories[category]);
+  }
+
+  // gtag() espera el objeto arguments, no un array
+  function gtag() {
+    window.dataLayer = window.dataLayer || [];
+    window.dataLayer.push(arguments);
+  }
+
+  function googleConsent(granted = has) {
+    return Object.fromEntries(Object.entries(GOOGLE_SIGNALS).map(([signal, category]) => [signal, granted(category) ? "granted" : "denied"]));
+  }
+
+  function runGranted() {
+    CATEGORIES.filter(has).forEach((category) => {
+      const callbacks = grantCallbacks.get(category).splice(0);
+      if (callbacks.length) loadedCategories.add(category);
+      callbacks.forEach((callback) => callback());
+    });
+  }
+
+  function notify() {
+    gtag("consent", "update", googleConsent());
+    runGranted();
+    listeners.forEach((listener) => listener(record));
+    window.dispatchEvent(new CustomEvent(CHANGE_EVENT, { detail: record }));
+  }
+
+  function set(granted) {
+    record = createRecord(granted.filter((category) => OPTIONAL.includes(category)), record || readStored());
+    writeRecord(record);
+    sendReceipt(record);
+    hideBanner();
+    closePreferences();
+    applyWithdrawal();
+    notify();
+    return record;
+  }
+
+  // Los scripts de terceros no se pueden descargar: si ya se ejecutaron, se recarga la pagina
+  function applyWithdrawal() {
+    const withdrawn = record?.withdrawn || [];
+    if (!withdrawn.length) return;
+    clearIdentifiers(withdrawn);
+    if (withdrawn.some((category) => loadedCategories.has(category))) setTimeout(() => window.location.reload(), 0);
+  }
+
+  const acceptAll = () => set(OPTIONAL);
+  const rejectAll = () => set([]);
+
+  // El callback se ejecuta una sola vez: ahora si ya hay permiso o cuando se conceda
+  function onGrant(category, callback) {
+    if (!grantCallbacks.has(category)) return;
+    if (!has(category)) {
+      grantCallbacks.get(category).push(callback);
+      return;
+    }
+    loadedCategories.add(category);
+    callback();
+  }
+
+  function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  function createElement(tag, className, attributes = {}) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
+  }
+
+  function createButton(className, label, action) {
+    const button = createElement("button", className, { type: "button", "data-consent-action": action });
+    button.textContent = label;
+    return button;
+  }
+
+  function loadStylesheet() {
+    if (document.getElementById(STYLESHEET_ID)) return Promise.resolve();
+    const href = new URL("consent.css", scriptUrl);
+    href.search = new URL(scriptUrl).search;
+    const link = createElement("link", "", { id: STYLESHEET_ID, rel: "stylesheet", href: href.toString() });
+    const loaded = new Promise((resolve) => {
+      link.addEventListener("load", resolve, { once: true });
+      link.addEventListener("error", resolve, { once: true });
+    });
+    document.head.appendChild(link);
+    return loaded;
+  }
+
+  function buildUi() {
+    const root = createElement("div", "nx-consent", { "data-i18n-dynamic": "" });
+    root.hidden = true;
+
+    const banner = createElement("section", "nx-consent__banner", { "aria-label": "Aviso de cookies" });
+    banner.hidden = true;
+    const text = createElement("p");
+    text.textContent = "Usamos cookies técnicas necesarias y, solo si lo aceptas, guardamos la conversación del chat, cargamos la agenda de Calendly y usamos analítica con Google Tag Manager y Meta Pixel para medir campañas.";
+    const policy = createElement("a", "nx-consent__policy", { href: new URL("privacy/", scriptUrl).href });
+    policy.textContent = "Política de privacidad y cookies";
+    const actions = createElement("div", "nx-consent__actions");
+    actions.append(
+      createButton("nx-consent__button", "Rechazar", "reject"),
+      createButton("nx-consent__button", "Configurar", "settings"),
+      createButton("nx-consent__button nx-consent__button--primary", "Aceptar todo", "accept")
+    );
+    banner.append(text, policy, actions);
+
+    const overlay = createElement("div", "nx-consent__overlay");
+    overlay.hidden = true;
+    const dialog = createElement("div", "nx-consent__dialog", { role: "dialog", "aria-modal": "true", "aria-labelledby": "nx-consent-title" });
+    const head = createElement("div", "nx-consent__head");
+    const title = createElement("h2", "", { id: "nx-consent-title" });
+    title.textContent = "Preferencias de cookies";
+    const close = createElement("button", "nx-consent__close", { type: "button", "aria-label": "Cerrar preferencias", "data-consent-action": "close" });
+    close.textContent = "×";
+    head.append(title, close);
+    const intro = createElement("p", "nx-consent__intro");
+    intro.textContent = "Elige qué podemos guardar y qué servicios externos podemos cargar. Puedes cambiar tu elección cuando quieras.";
+    const list = createElement("div", "nx-consent__categories");
+    const toggles = {};
+    CATEGORIES.forEach((category) => {
+      const [name, description] = LABELS[category];
+      const item = createElement("label", "nx-consent__category");
+      const toggle = createElement("input", "", { type: "checkbox", name: category });
+      if (category === "necessary") {
+        toggle.checked = true;
+        toggle.disabled = true;
+      }
+      const body = createElement("span");
+      const label = createElement("strong");
+      label.textContent = name;
+      const detail = createElement("small");
+      detail.textContent = description;
+      body.append(label, detail);
+      item.append(toggle, body);
+      list.appendChild(item);
+      toggles[category] = toggle;
+    });
+    const buttons = createElement("div", "nx-consent__actions");
+    buttons.append(
+      createButton("nx-consent__button", "Rechazar todo", "reject"),
+      createButton("nx-consent__button", "Guardar preferencias", "save"),
+      createButton("nx-consent__button nx-consent__button--primary", "Aceptar todo", "accept")
+    );
+    dialog.append(head, intro, list, buttons);
+    overlay.appendChild(dialog);
+
+    root.append(banner, overlay);
+    document.body.appendChild(root);
+    loadStylesheet().then(() => { root.hidden = false; });
+
+    root.addEventListener("click", (event) => {
+      const action = event.target.closest("[data-consent-action]")?.dataset.consentAction;
+      if (action === "accept") acceptAll();
+      else if (action === "reject") rejectAll();
+      else if (action === "settings") openPreferences();
+      else if (action === "close") closePreferences();
+      else if (action === "save") set(OPTIONAL.filter((category) => toggles[category].checked));
+    });
+    overlay.addEventListener("click", (event) => {
+      if (event.target === overlay) closePreferences();
+    });
+    dialog.addEventListener("keydown", (event) => {
+      if (event.key === "Escape") {
+        event.stopPropagation();
+        closePreferences();
+      } else if (event.key === "Tab") {
+        trapFocus(event, dialog);
+      }
+    });
+    return { root, banner, overlay, dialog, toggles };
+  }
+
+  function trapFocus(event, container) {
+    const items = Array.from(container.querySelectorAll("button, input, a[href]")).filter((item) => !item.disabled);
+    const first = items[0];
+    const last = items[items.length - 1];
+    if (event.shiftKey && document.activeElement === first) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+      event.preventDefault();
+      first.focus();
+    }
+  }
+
+  function showBanner() {
+    ui = ui || buildUi();
+    ui.banner.hidden = false;
+    document.body.classList.add("has-cookie-banner");
+  }
+
+  function hideBanner() {
+    if (!ui) return;
+    ui.banner.hidden = true;
+    document.body.classList.remove("has-cookie-banner");
+  }
+
+  // focus: categoria que recibe el foco (por ejemplo scheduling al intentar abrir la agenda sin permiso)
+  function openPreferences(focus) {
+    ui = ui || buildUi();
+    lastFocused = document.activeElement;
+    OPTIONAL.forEach((category) => { ui.toggles[category].checked = has(category); });
+    ui.overlay.hidden = false;
+    const target = ui.toggles[focus] && !ui.toggles[focus].disabled ? ui.toggles[focus] : ui.dialog.querySelector(".nx-consent__close");
+    target.focus();
+  }
+
+  function closePreferences() {
+    if (!ui || ui.overlay.hidden) return;
+    ui.overlay.hidden = true;
+    if (lastFocused?.isConnected) lastFocused.focus();
+    lastFocused = null;
+  }
+
+  clearLegacy();
+  record = readRecord();
+  gtag("consent", "default", { ...googleConsent(() => false), wait_for_update: 500 });
+  gtag("set", "ads_data_redaction", true);
+  if (record) gtag("consent", "update", googleConsent());
+
+  // Eleccion hecha en otra pestana
+  window.addEventListener("storage", (event) => {
+    if (event.key !== STORAGE_KEY) return;
+    record = readRecord();
+    if (record) hideBanner();
+    applyWithdrawal();
+    notify();
+  });
+
+  document.addEventListener("click", (event) => {
+    const trigger = event.target.closest?.("[data-consent-settings]");
+    if (!trigger) return;
+    event.preventDefault();
+    openPreferences();
+  });
+
+  if (!record && document.body) showBanner();
+  else if (!record) document.addEventListener("DOMContentLoaded", showBanner, { once: true });
+
+  window.novaixConsent = {
+    policyVersion: POLICY_VERSION,
+    categories: CATEGORIES,
+    changeEvent: CHANGE_EVENT,
+    get,
+    has,
+    googleConsent: () => googleConsent(),
+    set,
+    acceptAll,
+    rejectAll,
+    onGrant,
+    subscribe,
+    showBanner,
+    openPreferences
+  };
+})();
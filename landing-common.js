@@ -1,4 +1,75 @@
 (() => {
+  const scriptUrl = document.currentScript?.src || window.location.href;
+
+  // Temas del chat por landing, en el espanol fuente: las traducciones viven en i18n/landing/common.json y
+  // se resuelven con novaixT al montar el chat. Las paginas generadas declaran los suyos con [data-novaix-chat].
+  const defaultChat = {
+    greeting: "Hola, soy NOVAIX. Cuéntame a qué se dedica tu negocio y qué proceso quieres mejorar.",
+    chips: [
+      ["Atención al cliente", "Quiero automatizar la atención a clientes por WhatsApp y web."],
+      ["Agenda y citas", "Quiero automatizar la agenda y los recordatorios de citas."],
+      ["Captar clientes", "Quiero responder y hacer seguimiento a los contactos nuevos."]
+    ]
+  };
+  const sectorChats = {
+    gimnasios: {
+      greeting: "Hola, soy NOVAIX. Cuéntame cómo gestionáis hoy altas, reservas de clases y bajas en tu gimnasio.",
+      chips: [
+        ["Reservas de clases", "Quiero automatizar las reservas y cambios de clases."],
+        ["Captar socios", "Quiero responder y hacer seguimiento a los interesados en apuntarse."],
+        ["Reducir bajas", "Quiero detectar y recuperar socios que dejan de venir."]
+      ]
+    },
+    peluquerias: {
+      greeting: "Hola, soy NOVAIX. Cuéntame cómo gestionáis hoy citas, cambios y recordatorios en tu peluquería.",
+      chips: [
+        ["Citas por WhatsApp", "Quiero que los clientes reserven y cambien citas por WhatsApp."],
+        ["Evitar ausencias", "Quiero reducir las citas a las que el cliente no se presenta."],
+        ["Reseñas", "Quiero pedir reseñas después de cada servicio."]
+      ]
+    },
+    "centros-belleza": {
+      greeting: "Hola, soy NOVAIX. Cuéntame qué tratamientos ofrecéis y cómo gestionáis hoy las reservas de tu centro.",
+      chips: [
+        ["Reservas de tratamientos", "Quiero automatizar reservas y recordatorios de tratamientos."],
+        ["Bonos y seguimiento", "Quiero hacer seguimiento de bonos y próximas sesiones."],
+        ["Dudas frecuentes", "Quiero responder automáticamente las dudas sobre precios y tratamientos."]
+      ]
+    },
+    "clinicas-esteticas": {
+      greeting: "Hola, soy NOVAIX. Cuéntame cómo llegan hoy las consultas y valoraciones a tu clínica.",
+      chips: [
+        ["Primeras valoraciones", "Quiero organizar las solicitudes de primera valoración."],
+        ["Seguimiento de presupuestos", "Quiero hacer seguimiento de los presupuestos enviados."],
+        ["Postratamiento", "Quiero enviar indicaciones y revisiones después de cada tratamiento."]
+      ]
+    },
+    fisioterapia: {
+      greeting: "Hola, soy NOVAIX. Cuéntame cómo gestionáis hoy citas, sesiones y seguimiento de pacientes.",
+      chips: [
+        ["Citas y sesiones", "Quiero automatizar la reserva de citas y sesiones."],
+        ["Recordatorios", "Quiero enviar recordatorios y reducir cancelaciones de última hora."],
+        ["Seguimiento de pacientes", "Quiero hacer seguimiento de pacientes entre sesiones."]
+      ]
+    },
+    inmobiliarias: {
+      greeting: "Hola, soy NOVAIX. Cuéntame cómo recibís y cualificáis hoy los contactos de compradores y propietarios.",
+      chips: [
+        ["Cualificar compradores", "Quiero cualificar automáticamente a los compradores interesados."],
+        ["Agendar visitas", "Quiero que las visitas se agenden sin llamadas de ida y vuelta."],
+        ["Captar propietarios", "Quiero captar y hacer seguimiento de propietarios que quieren vender."]
+      ]
+    },
+    talleres: {
+      greeting: "Hola, soy NOVAIX. Cuéntame cómo gestionáis hoy citas, presupuestos y avisos de vehículos en tu taller.",
+      chips: [
+        ["Citas de taller", "Quiero automatizar las citas y la recepción de vehículos."],
+        ["Presupuestos", "Quiero enviar y hacer seguimiento de presupuestos de reparación."],
+        ["Avisos al cliente", "Quiero avisar al cliente del estado de su vehículo."]
+      ]
+    }
+  };
+
   function integrateNovaixPositioning() {
     const isEnglish = document.documentElement.lang?.toLowerCase().startsWith("en");
     const isBusinessHub = /landing-negocios\.html$/i.test(window.location.pathname);
@@ -114,15 +185,67 @@
     });
   }
 
+  function loadScript(name) {
+    return new Promise((resolve, reject) => {
+      const script = document.createElement("script");
+      // Misma version (?v=) que este script para que la cache se renueve a la vez
+      const src = new URL(name, scriptUrl);
+      src.search = new URL(scriptUrl).search;
+      script.src = src.toString();
+      script.addEventListener("load", resolve, { once: true });
+      script.addEventListener("error", () => reject(new Error(`No se pudo cargar ${name}`)), { once: true });
+      document.body.appendChild(script);
+    });
+  }
+
+  function t(text) {
+    return typeof window.novaixT === "function" ? window.novaixT(text) : text;
+  }
+
+  function chatConfig() {
+    const slug = window.location.pathname.match(/landing-([\w-]+)\.html$/i)?.[1] || null;
+    const declared = document.querySelector("[data-novaix-chat]");
+    const copy = sectorChats[slug] || defaultChat;
+    const config = {
+      sector: declared?.dataset.chatSector || slug,
+      accent: declared?.dataset.chatAccent || getComputedStyle(document.body).getPropertyValue("--primary").trim() || null,
+      subtitle: t("Consulta cómo automatizar la atención, la agenda y el seguimiento de tu negocio."),
+      greeting: t(copy.greeting),
+      chips: copy.chips.map(([label, prompt]) => ({ label: t(label), prompt: t(prompt) }))
+    };
+    if (declared) {
+      const greeting = declared.querySelector("[data-chat-greeting]")?.textContent.trim();
+      if (greeting) config.greeting = t(greeting);
+      const chips = Array.from(declared.querySelectorAll("[data-prompt]"))
+        .map((chip) => ({ label: t(chip.textContent.trim()), prompt: t(chip.dataset.prompt) }));
+      if (chips.length) config.chips = chips;
+    }
+    return config;
+  }
+
+  // El chat (chat-widget.js + chat-history.js) se carga desde la misma carpeta que este script y se monta
+  // con los catalogos ya cargados para que los textos salgan en el idioma actual.
+  function mountSectorChat() {
+    if (typeof window.novaixMountChat === "function" && document.querySelector(".nx-chat")) return;
+    const history = window.novaixChatHistory ? Promise.resolve() : loadScript("chat-history.js");
+    history
+      .then(() => (typeof window.novaixMountChat === "function" ? null : loadScript("chat-widget.js")))
+      .then(() => window.novaixTranslationsReady)
+      .then(() => window.novaixMountChat(chatConfig()))
+      .catch((error) => console.error(error));
+  }
+
   window.novaixInitWhatsappTabs = initWhatsappTabs;
 
   if (document.readyState === "loading") {
     document.addEventListener("DOMContentLoaded", () => {
       integrateNovaixPositioning();
       initWhatsappTabs();
+      mountSectorChat();
     });
   } else {
     integrateNovaixPositioning();
     initWhatsappTabs();
+    mountSectorChat();
   }
 })();
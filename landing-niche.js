@@ -2,8 +2,6 @@
   const nav = document.querySelector(".nav");
   const navToggle = document.querySelector(".nav-toggle");
   const modal = document.getElementById("calendly-modal");
-  const cookieBanner = document.getElementById("cookie-banner");
-  const cookieKey = "novaix_sector_cookie_notice";
   let calendlyLoaded = false;
 
   const year = document.getElementById("year");
@@ -69,12 +67,4 @@
   } else {
     document.querySelectorAll(".reveal").forEach((element) => element.classList.add("is-visible"));
   }
-
-  if (!localStorage.getItem(cookieKey)) cookieBanner?.classList.add("is-visible");
-  function dismissCookieNotice() {
-    localStorage.setItem(cookieKey, "closed");
-    cookieBanner?.classList.remove("is-visible");
-  }
-  document.getElementById("cookie-accept")?.addEventListener("click", dismissCookieNotice);
-  document.getElementById("cookie-decline")?.addEventListener("click", dismissCookieNotice);
 })();
@@ -44,48 +44,58 @@ def normalize(value: str | None) -> str:
     return re.sub(r"\s+", " ", value or "").strip()
 
 
-def parse_i18n_entries() -> dict[str, str]:
-    entries: dict[str, str] = {}
+def catalog_paths() -> list[Path]:
+    catalogs = ROOT / "i18n"
+    site = sorted((catalogs / "site").glob("*.json"))
+    landing = sorted(sorted((catalogs / "landing").glob("*.json")), key=lambda path: path.stem == "common")
+    return site + landing
+
+
+RICH_TAG_RE = re.compile(r"<\/?\d+\s*\/?>")
+
 
-    i18n = (ROOT / "i18n.js").read_text(encoding="utf-8")
-    for match in re.finditer(r"^\s*E\((.*)\);\s*$", i18n, re.M):
-        raw = match.group(1)
-        try:
-            values = json.loads(f"[{raw}]")
-        except json.JSONDecodeError:
-            continue
-        if len(values) < 3:
-            continue
-        source, es, en = values[0], values[1], values[2]
-        for candidate in (source, es):
-            key = normalize(candidate)
-            if key and en:
-                entries[key] = en
-
-    landing = (ROOT / "landing-language.js").read_text(encoding="utf-8")
-    for match in re.finditer(r"T\(`([\s\S]*?)`,\s*`([\s\S]*?)`(?:,\s*`[\s\S]*?`)?\);", landing):
-        source, en = match.group(1), match.group(2)
-        key = normalize(source)
-        if key and en:
-            entries[key] = en
-
-    for match in re.finditer(r"\[`([\s\S]*?)`,\s*`([\s\S]*?)`\]", landing):
-        source, en = match.group(1), match.group(2)
-        key = normalize(source)
-        if key and en:
-            entries[key] = en
-
-    return entries
-
-
-TRANSLATIONS = parse_i18n_entries()
-
-
-def translate_text(value: str) -> str:
+def rich_segments(source: str | None, target: str | None) -> list[tuple[str, str]]:
+    # El HTML estatico conserva los hijos del elemento, asi que una traduccion con <0>…</0> se aplica
+    # tramo a tramo. Si los marcadores cambian de orden solo la puede montar i18n.js en el navegador.
+    if not source or not target or RICH_TAG_RE.findall(source) != RICH_TAG_RE.findall(target):
+        return []
+    return [(text, normalize(translated)) for text, translated in zip(RICH_TAG_RE.split(source), RICH_TAG_RE.split(target))]
+
+
+def parse_i18n_entries() -> tuple[dict[str, str], dict[tuple[str, str], str]]:
+    entries: dict[str, str] = {}
+    contextual: dict[tuple[str, str], str] = {}
+
+    for path in catalog_paths():
+        catalog = json.loads(path.read_text(encoding="utf-8"))
+        for entry in catalog.get("entries", {}).values():
+            source = entry.get("source")
+            es = entry.get("es") or source
+            en = entry.get("en")
+            context = entry.get("context")
+            pairs = [(source, en), (es, en)]
+            if RICH_TAG_RE.search(source or ""):
+                pairs = rich_segments(source, en) + rich_segments(es, en)
+            for candidate, translated in pairs:
+                key = normalize(candidate)
+                if not key or not translated:
+                    continue
+                if context:
+                    contextual[(context, key)] = translated
+                else:
+                    entries[key] = translated
+
+    return entries, contextual
+
+
+TRANSLATIONS, CONTEXT_TRANSLATIONS = parse_i18n_entries()
+
+
+def translate_text(value: str, context: str | None = None) -> str:
     key = normalize(value)
     if not key:
         return value
-    translated = TRANSLATIONS.get(key)
+    translated = (context and CONTEXT_TRANSLATIONS.get((context, key))) or TRANSLATIONS.get(key)
     if not translated or translated == key:
         return value
     start = re.match(r"^\s*", value).group(0)
@@ -165,10 +175,31 @@ class EnglishRenderer(HTMLParser):
         self.page = page
         self.out: list[str] = []
         self.raw_stack: list[str] = []
+        # [tag, data-i18n-context, profundidad de etiquetas iguales abiertas]
+        self.context_stack: list[list] = []
 
     def raw_tag(self) -> str | None:
         return self.raw_stack[-1] if self.raw_stack else None
 
+    def context(self) -> str | None:
+        return self.context_stack[-1][1] if self.context_stack else None
+
+    def open_context(self, tag: str, attrs: list[tuple[str, str | None]]) -> None:
+        tag = tag.lower()
+        if tag in VOID_TAGS:
+            return
+        context = next((value for name, value in attrs if name.lower() == "data-i18n-context" and value), None)
+        if context:
+            self.context_stack.append([tag, context, 1])
+        elif self.context_stack and self.context_stack[-1][0] == tag:
+            self.context_stack[-1][2] += 1
+
+    def close_context(self, tag: str) -> None:
+        if self.context_stack and self.context_stack[-1][0] == tag.lower():
+            self.context_stack[-1][2] -= 1
+            if self.context_stack[-1][2] == 0:
+                self.context_stack.pop()
+
     def handle_decl(self, decl: str) -> None:
         self.out.append(f"<!{decl}>")
 
@@ -192,7 +223,7 @@ class EnglishRenderer(HTMLParser):
             elif tag.lower() == "html" and lower == "data-static-lang":
                 value = "en"
             elif lower in TRANSLATABLE_ATTRS:
-                value = translate_text(value)
+                value = translate_text(value, self.context())
             elif lower.startswith("data-i18n-attr-"):
                 value = original
 
@@ -217,6 +248,7 @@ class EnglishRenderer(HTMLParser):
     def handle_starttag(self, tag: str, attrs: list[tuple[str, str | None]]) -> None:
         if tag.lower() in RAW_TAGS:
             self.raw_stack.append(tag.lower())
+        self.open_context(tag, attrs)
         self.out.append(f"<{tag}{self.render_attrs(tag, attrs)}>")
 
     def handle_startendtag(self, tag: str, attrs: list[tuple[str, str | None]]) -> None:
@@ -224,6 +256,7 @@ class EnglishRenderer(HTMLParser):
 
     def handle_endtag(self, tag: str) -> None:
         self.out.append(f"</{tag}>")
+        self.close_context(tag)
         if self.raw_stack and self.raw_stack[-1] == tag.lower():
             self.raw_stack.pop()
 
@@ -236,7 +269,7 @@ class EnglishRenderer(HTMLParser):
         elif raw:
             self.out.append(data)
         else:
-            self.out.append(translate_text(data))
+            self.out.append(translate_text(data, self.context()))
 
     def handle_entityref(self, name: str) -> None:
         self.out.append(f"&{name};")
@@ -0,0 +1,273 @@
+import { writeFileSync } from "node:fs";
+import { resolve } from "node:path";
+import { catalogEntries, catalogLookup, declaredCatalogs, decodeEntities, hasRichTags, listCatalogs, listPages, normalize, readPage, root, translatableAttrs } from "./i18n-catalogs.mjs";
+
+// Completa en build las paginas con data-static-lang (en/*.html) aplicando las mismas reglas que
+// translateNode/translateAttributes de i18n.js, para que el navegador solo traduzca [data-i18n-dynamic].
+const args = process.argv.slice(2);
+const checkOnly = args.includes("--check");
+
+const rawTextTags = new Set(["script", "style"]);
+const skippedTags = new Set(["script", "style", "noscript", "svg", "canvas"]);
+const voidTags = new Set(["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "param", "source", "track", "wbr"]);
+const tokenPattern = /<!--[\s\S]*?-->|<![^>]*>|<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|[^<]+|</g;
+const richTagPattern = /<(\d+)\s*\/>|<(\d+)>|<\/(\d+)>/g;
+
+const escapeText = (value) => value.replaceAll("&", "&amp;").replaceAll("<", "&lt;").replaceAll(">", "&gt;");
+const escapeAttribute = (value) => value.replaceAll("&", "&amp;").replaceAll("\"", "&quot;");
+
+function parseAttributes(source) {
+  const attributes = {};
+  for (const match of source.matchAll(/([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g)) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? "");
+  }
+  return attributes;
+}
+
+// Arbol minimo que conserva el HTML original: solo se reescriben los nodos traducidos.
+function parseHtml(html) {
+  const document = { type: "root", children: [] };
+  const stack = [document];
+  tokenPattern.lastIndex = 0;
+  let match;
+  while ((match = tokenPattern.exec(html))) {
+    const [token, closing, rawTag, rawAttributes = ""] = match;
+    const parent = stack[stack.length - 1];
+    const tag = rawTag?.toLowerCase();
+    if (!tag || token.startsWith("<!")) {
+      parent.children.push({ type: token.startsWith("<") && token.length > 1 ? "raw" : "text", raw: token });
+      continue;
+    }
+    if (closing) {
+      const index = stack.map((node) => node.tag).lastIndexOf(tag);
+      if (index > 0) {
+        stack[index].end = token;
+        stack.length = index;
+      } else {
+        parent.children.push({ type: "raw", raw: token });
+      }
+      continue;
+    }
+    const element = { type: "element", tag, start: token, attributes: parseAttributes(rawAttributes), children: [], end: "" };
+    parent.children.push(element);
+    if (rawTextTags.has(tag)) {
+      const close = html.toLowerCase().indexOf(`</${tag}`, tokenPattern.lastIndex);
+      const stop = close === -1 ? html.length : close;
+      if (stop > tokenPattern.lastIndex) element.children.push({ type: "raw", raw: html.slice(tokenPattern.lastIndex, stop) });
+      const endMatch = close === -1 ? "" : html.slice(close).match(/^<\/[^>]*>/)[0];
+      element.end = endMatch;
+      tokenPattern.lastIndex = stop + endMatch.length;
+      continue;
+    }
+    if (!voidTags.has(tag) && !/\/\s*$/.test(rawAttributes)) stack.push(element);
+  }
+  return document;
+}
+
+function serialize(node) {
+  if (node.type !== "element" && node.type !== "root") return node.raw;
+  const children = node.children.map(serialize).join("");
+  return node.type === "root" ? children : `${node.start}${children}${node.end}`;
+}
+
+function setAttribute(element, name, value) {
+  const escaped = escapeAttribute(value);
+  const pattern = new RegExp(`(\\s${name.replace(/[-:]/g, "\\$&")}\\s*=\\s*)("[^"]*"|'[^']*'|[^\\s>]+)`, "i");
+  element.start = pattern.test(element.start)
+    ? element.start.replace(pattern, (_, prefix) => `${prefix}"${escaped}"`)
+    : element.start.replace(/\s*(\/?)>$/, (end, slash) => ` ${name}="${escaped}"${slash ? " /" : ""}>`);
+  element.attributes[name] = value;
+}
+
+const textNode = (value) => ({ type: "text", raw: escapeText(value) });
+const textOf = (node) => decodeEntities(node.raw);
+const elementChildren = (node) => node.children.filter((child) => child.type === "element");
+
+function preserveWhitespace(original, translated) {
+  const start = original.match(/^\s*/)?.[0] || "";
+  const end = original.match(/\s*$/)?.[0] || "";
+  return `${start}${translated}${end}`;
+}
+
+function parseRichText(text) {
+  const document = { children: [] };
+  const stack = [document];
+  let lastIndex = 0;
+  for (const match of text.matchAll(richTagPattern)) {
+    const parent = stack[stack.length - 1];
+    if (match.index > lastIndex) parent.children.push(text.slice(lastIndex, match.index));
+    lastIndex = match.index + match[0].length;
+    if (match[1] !== undefined) {
+      parent.children.push({ index: Number(match[1]), children: null });
+    } else if (match[2] !== undefined) {
+      const node = { index: Number(match[2]), children: [] };
+      parent.children.push(node);
+      stack.push(node);
+    } else if (stack.length > 1 && parent.index === Number(match[3])) {
+      stack.pop();
+    } else {
+      return null;
+    }
+  }
+  if (stack.length > 1) return null;
+  if (lastIndex < text.length) document.children.push(text.slice(lastIndex));
+  return document.children;
+}
+
+function buildRichNodes(nodes, templates) {
+  const built = [];
+  for (const node of nodes) {
+    if (typeof node === "string") {
+      built.push(textNode(node));
+      continue;
+    }
+    const template = templates[node.index];
+    if (!template) return null;
+    if (!node.children) {
+      built.push(template);
+      continue;
+    }
+    const children = buildRichNodes(node.children, elementChildren(template));
+    if (!children) return null;
+    built.push({ ...template, children });
+  }
+  return built;
+}
+
+function translatePage(html, lang, lookup) {
+  const document = parseHtml(html);
+  const warnings = [];
+  const messageFor = (key) => {
+    const entry = lookup.keys.get(key);
+    if (!entry) return null;
+    const message = entry[lang] || entry.es || entry.source;
+    if (/[{}]/.test(message)) {
+      warnings.push(`key ${key} uses message arguments; mark its container data-i18n-dynamic`);
+      return null;
+    }
+    return message;
+  };
+  const translateString = (value, context) => {
+    const entry = lookup.find({ type: "text", text: normalize(value), context });
+    return entry ? entry[lang] || entry.es || entry.source : value;
+  };
+
+  // setElementText de i18n.js: primer nodo de texto directo con contenido, o todo el texto si no hay hijos.
+  function setElementText(element, translated) {
+    const target = element.children.find((child) => child.type === "text" && normalize(textOf(child)));
+    if (target) {
+      Object.assign(target, textNode(preserveWhitespace(textOf(target), translated)));
+      return;
+    }
+    if (!elementChildren(element).length) element.children = [textNode(translated)];
+  }
+
+  function translateKeyed(element) {
+    let rich = false;
+    const textKey = element.attributes["data-i18n"];
+    const translated = textKey ? messageFor(textKey) : null;
+    if (translated !== null && hasRichTags(translated)) {
+      const nodes = parseRichText(translated);
+      const children = nodes && buildRichNodes(nodes, elementChildren(element));
+      if (children) {
+        element.children = children;
+        rich = true;
+      } else {
+        warnings.push(`key ${textKey} has placeholders without a matching child element`);
+        setElementText(element, translated.replace(richTagPattern, ""));
+      }
+    } else if (translated !== null) {
+      setElementText(element, translated);
+    }
+    Object.entries(element.attributes).forEach(([name, key]) => {
+      if (!name.startsWith("data-i18n-attr-")) return;
+      const value = messageFor(key);
+      if (value !== null) setAttribute(element, name.slice("data-i18n-attr-".length), value.replace(richTagPattern, ""));
+    });
+    return rich;
+  }
+
+  function translateAttributes(element, context) {
+    translatableAttrs.forEach((name) => {
+      if (!(name in element.attributes)) return;
+      const original = element.attributes[name];
+      const translated = translateString(original, context);
+      if (translated !== original) setAttribute(element, name, translated);
+    });
+  }
+
+  function walk(node, context, insideRich, inHead) {
+    for (const child of node.children) {
+      if (child.type === "text") {
+        const original = textOf(child);
+        const normalized = normalize(original);
+        if (!normalized || insideRich || inHead) continue;
+        const translated = translateString(normalized, context);
+        if (translated !== normalized) Object.assign(child, textNode(preserveWhitespace(original, translated)));
+        continue;
+      }
+      if (child.type !== "element") continue;
+      if (child.tag === "head") {
+        walk(child, context, insideRich, true);
+        continue;
+      }
+      if (inHead) {
+        translateHeadElement(child);
+        continue;
+      }
+      if (skippedTags.has(child.tag) || child.attributes.translate === "no") continue;
+      const scope = child.attributes["data-i18n-context"] || context;
+      const rich = translateKeyed(child);
+      translateAttributes(child, scope);
+      walk(child, scope, child.attributes["data-i18n"] ? rich : insideRich, false);
+    }
+  }
+
+  // translateHead de i18n.js: el titulo y los meta con content.
+  function translateHeadElement(element) {
+    if (element.tag === "title") {
+      if (element.attributes["data-i18n"]) {
+        translateKeyed(element);
+      } else {
+        element.children.filter((child) => child.type === "text").forEach((child) => {
+          const original = textOf(child);
+          const translated = translateString(original, null);
+          if (translated !== original) Object.assign(child, textNode(translated));
+        });
+      }
+    } else if (element.tag === "meta" && "content" in element.attributes) {
+      translateKeyed(element);
+      translateAttributes(element, null);
+    }
+  }
+
+  walk(document, null, false, false);
+  return { html: serialize(document), warnings };
+}
+
+const entriesByCatalog = new Map(listCatalogs().map((name) => [name, catalogEntries(name)]));
+const stale = [];
+let built = 0;
+
+for (const page of listPages()) {
+  const html = readPage(page);
+  const lang = html.match(/<html\b[^>]*\bdata-static-lang="([^"]+)"/)?.[1];
+  if (!lang || lang === "es") continue;
+  const catalogs = declaredCatalogs(html);
+  const lookup = catalogLookup(catalogs.flatMap((name) => entriesByCatalog.get(name) || []));
+  const result = translatePage(html, lang, lookup);
+  result.warnings.forEach((warning) => console.warn(`${page}: ${warning}`));
+  built += 1;
+  if (result.html === html) continue;
+  stale.push(page);
+  if (!checkOnly) writeFileSync(resolve(root, page), result.html, "utf8");
+}
+
+if (checkOnly && stale.length) {
+  console.error(`${stale.length} page(s) out of date with the catalogs: ${stale.join(", ")}\nRun node tools/build-static-translations.mjs`);
+  process.exit(1);
+}
+
+console.log(checkOnly
+  ? `Static translations up to date in ${built} page(s).`
+  : `Pre-rendered ${built} page(s), ${stale.length} updated.`);
@@ -0,0 +1,49 @@
+import { existsSync } from "node:fs";
+import { catalogPath, catalogEntries, declaredCatalogs, listCatalogs, listPages, readCatalog, readPage, richTags } from "./i18n-catalogs.mjs";
+
+const errors = [];
+const keyOwners = new Map();
+const catalogs = listCatalogs();
+
+for (const name of catalogs) {
+  let catalog;
+  try {
+    catalog = readCatalog(name);
+  } catch {
+    errors.push(`i18n/${name}.json: malformed JSON`);
+    continue;
+  }
+
+  if (catalog.catalog !== name) errors.push(`i18n/${name}.json: "catalog" should be "${name}"`);
+  const namespace = name.split("/")[0];
+  for (const entry of catalogEntries(name, catalog)) {
+    if (!entry.key.startsWith(`${namespace}.`)) errors.push(`i18n/${name}.json: key ${entry.key} outside the ${namespace}.* namespace`);
+    if (!entry.source) errors.push(`i18n/${name}.json: ${entry.key} has no source text`);
+    if (!entry.en) errors.push(`i18n/${name}.json: ${entry.key} has no English text`);
+    const placeholders = richTags(entry.source).join(" ");
+    for (const [field, value] of Object.entries(entry)) {
+      if (["key", "source", "catalog", "context"].includes(field) || typeof value !== "string") continue;
+      if (richTags(value).join(" ") !== placeholders) errors.push(`i18n/${name}.json: ${entry.key}.${field} placeholders differ from source`);
+    }
+    if (keyOwners.has(entry.key)) errors.push(`i18n/${name}.json: ${entry.key} already defined in ${keyOwners.get(entry.key)}`);
+    else keyOwners.set(entry.key, name);
+  }
+}
+
+const pages = listPages();
+for (const page of pages) {
+  const html = readPage(page);
+  if (!/<script\b[^>]*\bsrc="(?:\.\.\/)?i18n\.js/.test(html)) continue;
+  const declared = declaredCatalogs(html);
+  if (!declared.length) errors.push(`${page}: i18n.js loaded without data-i18n-catalogs`);
+  for (const name of declared) {
+    if (!existsSync(catalogPath(name))) errors.push(`${page}: declares missing catalog ${name}`);
+  }
+}
+
+if (errors.length) {
+  console.error(errors.join("\n"));
+  process.exit(1);
+}
+
+console.log(`Validated ${catalogs.length} translation catalogs (${keyOwners.size} keys) across ${pages.length} pages.`);
@@ -0,0 +1,84 @@
+import { catalogEntries, declaredCatalogs, listCatalogs, listPages, normalize, readPage } from "./i18n-catalogs.mjs";
+
+const args = process.argv.slice(2);
+const asJson = args.includes("--json");
+const entriesByCatalog = new Map(listCatalogs().map((name) => [name, catalogEntries(name)]));
+const locales = (entry) => Object.keys(entry).filter((field) => !["key", "source", "catalog", "context"].includes(field));
+const lookupKeys = (entry) => [entry.source, ...locales(entry).map((code) => entry[code])].map(normalize).filter(Boolean);
+const targets = (entry) => locales(entry).map((code) => `${code}=${normalize(entry[code])}`).sort().join("\n");
+
+// Las paginas parten del espanol, asi que una colision solo es un error si las entradas discrepan en otro
+// idioma de destino. Si solo discrepan en espanol (texto ya traducido que volveria al original) es un aviso.
+function severity(text, candidates) {
+  const written = new Set(candidates.flatMap((entry) => ["source", ...locales(entry)]
+    .filter((field) => normalize(entry[field]) === text)
+    .map((field) => (field === "source" ? "es" : field))));
+  const languages = new Set(candidates.flatMap(locales));
+  const conflicting = Array.from(languages).filter((code) => code !== "es" && !written.has(code) && new Set(candidates
+    .map((entry) => normalize(entry[code]))
+    .filter(Boolean)).size > 1);
+  return conflicting.length ? "error" : "warning";
+}
+
+// Cada pagina solo carga sus catalogos, asi que las colisiones se evaluan por conjunto declarado.
+const scopes = new Map();
+for (const page of listPages()) {
+  const catalogs = declaredCatalogs(readPage(page));
+  if (!catalogs.length) continue;
+  const scope = catalogs.join(" ");
+  if (!scopes.has(scope)) scopes.set(scope, { catalogs, pages: [] });
+  scopes.get(scope).pages.push(page);
+}
+
+const collisions = new Map();
+for (const { catalogs, pages } of scopes.values()) {
+  const byText = new Map();
+  for (const name of catalogs) {
+    for (const entry of entriesByCatalog.get(name) || []) {
+      const bucket = entry.context ? `${entry.context}\u0004` : "";
+      new Set(lookupKeys(entry)).forEach((text) => {
+        const id = `${bucket}${text}`;
+        if (!byText.has(id)) byText.set(id, []);
+        byText.get(id).push(entry);
+      });
+    }
+  }
+  for (const [id, candidates] of byText) {
+    const distinct = new Map(candidates.map((entry) => [targets(entry), entry]));
+    if (distinct.size < 2) continue;
+    const [context, text] = id.includes("\u0004") ? id.split("\u0004") : [null, id];
+    if (!collisions.has(id)) {
+      collisions.set(id, {
+        text,
+        context,
+        severity: severity(text, candidates),
+        winner: candidates[candidates.length - 1].key,
+        entries: candidates.map((entry) => ({ key: entry.key, catalog: entry.catalog, source: entry.source, en: entry.en })),
+        pages: new Set()
+      });
+    }
+    pages.forEach((page) => collisions.get(id).pages.add(page));
+  }
+}
+
+const report = Array.from(collisions.values()).map((collision) => ({ ...collision, pages: Array.from(collision.pages) }));
+
+if (asJson) {
+  console.log(JSON.stringify(report, null, 2));
+} else if (report.length) {
+  for (const collision of report) {
+    const scope = collision.context ? ` [context ${collision.context}]` : "";
+    console.log(`${collision.severity.toUpperCase()} "${collision.text}"${scope} -> ${collision.winner} wins on ${collision.pages.length} page(s)`);
+    collision.entries.forEach((entry) => {
+      console.log(`  ${entry.key.padEnd(28)}${entry.catalog.padEnd(28)}${JSON.stringify(entry.source)} => ${JSON.stringify(entry.en)}`);
+    });
+  }
+}
+
+const errors = report.filter((collision) => collision.severity === "error");
+if (errors.length) {
+  console.error(`\n${errors.length} ambiguous lookup key(s). Scope them with "context" and data-i18n-context.`);
+  process.exit(1);
+}
+
+if (!asJson) console.log(`\nNo conflicting translations in any page scope (${report.length} reverse-only warning(s)).`);
@@ -0,0 +1,132 @@
+import { execFileSync } from "node:child_process";
+import { readFileSync, writeFileSync } from "node:fs";
+import { resolve } from "node:path";
+import { catalogEntries, listCatalogs, listPages, normalize, readCatalog, root, writeCatalog } from "./i18n-catalogs.mjs";
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? fallback : args[index + 1];
+};
+const base = option("base", "HEAD");
+const maxDistance = Number(option("max-distance", "0.35"));
+const asJson = args.includes("--json");
+const apply = args.includes("--apply");
+const strict = args.includes("--strict");
+
+const git = (...command) => execFileSync("git", command, { cwd: root, encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] });
+
+function baseCatalogs() {
+  let files;
+  try {
+    files = git("ls-tree", "-r", "--name-only", base, "--", "i18n/").split("\n").filter((file) => file.endsWith(".json"));
+  } catch {
+    console.error(`Unknown git revision "${base}".`);
+    process.exit(1);
+  }
+  return new Map(files.map((file) => {
+    const name = file.slice("i18n/".length, -".json".length);
+    return [name, JSON.parse(git("show", `${base}:${file}`))];
+  }));
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+const distance = (a, b) => {
+  const left = normalize(a).toLowerCase();
+  const right = normalize(b).toLowerCase();
+  return levenshtein(left, right) / Math.max(left.length, right.length, 1);
+};
+const namespaceOf = (key) => key.split(".")[0];
+
+const before = new Map(Array.from(baseCatalogs(), ([name, catalog]) => catalogEntries(name, catalog)).flat().map((entry) => [entry.key, entry]));
+const after = new Map(listCatalogs().flatMap((name) => catalogEntries(name)).map((entry) => [entry.key, entry]));
+
+const removed = Array.from(before.values()).filter((entry) => !after.has(entry.key));
+const added = Array.from(after.values()).filter((entry) => !before.has(entry.key));
+
+// Emparejamiento voraz: primero las parejas mas parecidas, cada clave antigua se usa una sola vez.
+const candidates = added.flatMap((entry) => removed
+  .filter((old) => namespaceOf(old.key) === namespaceOf(entry.key))
+  .map((old) => ({ from: entry.key, to: old.key, distance: distance(old.es, entry.es) }))
+  .filter((pair) => pair.distance <= maxDistance))
+  .sort((a, b) => a.distance - b.distance);
+const renames = [];
+const used = new Set();
+for (const pair of candidates) {
+  if (used.has(pair.from) || used.has(pair.to)) continue;
+  used.add(pair.from);
+  used.add(pair.to);
+  const old = before.get(pair.to);
+  const entry = after.get(pair.from);
+  renames.push({
+    ...pair,
+    catalog: entry.catalog,
+    source: { before: old.es, after: entry.es },
+    en: { before: old.en, after: entry.en },
+    review: normalize(old.es) !== normalize(entry.es) && normalize(old.en) === normalize(entry.en)
+  });
+}
+
+const changed = Array.from(after.values())
+  .filter((entry) => before.has(entry.key))
+  .map((entry) => ({ entry, old: before.get(entry.key) }))
+  .filter(({ entry, old }) => normalize(entry.source) !== normalize(old.source) || normalize(entry.es) !== normalize(old.es))
+  .map(({ entry, old }) => ({
+    key: entry.key,
+    catalog: entry.catalog,
+    source: { before: old.es, after: entry.es },
+    en: { before: old.en, after: entry.en },
+    review: normalize(old.en) === normalize(entry.en)
+  }));
+
+const review = [...changed.filter((item) => item.review), ...renames.filter((item) => item.review)];
+
+if (apply && renames.length) {
+  const byCatalog = new Map();
+  renames.forEach((rename) => {
+    if (!byCatalog.has(rename.catalog)) byCatalog.set(rename.catalog, new Map());
+    byCatalog.get(rename.catalog).set(rename.from, rename.to);
+  });
+  for (const [name, keys] of byCatalog) {
+    const catalog = readCatalog(name);
+    catalog.entries = Object.fromEntries(Object.entries(catalog.entries).map(([key, entry]) => [keys.get(key) || key, entry]));
+    writeCatalog(name, catalog);
+  }
+  const files = [...listPages(), "tools/generate-niche-landings.mjs"];
+  for (const file of files) {
+    const path = resolve(root, file);
+    const content = readFileSync(path, "utf8");
+    const updated = renames.reduce((text, rename) => text.split(`"${rename.from}"`).join(`"${rename.to}"`), content);
+    if (updated !== content) writeFileSync(path, updated);
+  }
+}
+
+if (asJson) {
+  console.log(JSON.stringify({ base, renames, changed, removed: removed.filter((entry) => !used.has(entry.key)).map((entry) => entry.key), added: added.filter((entry) => !used.has(entry.key)).map((entry) => entry.key) }, null, 2));
+} else {
+  console.log(`Catalog changes since ${base}: ${added.length} added, ${removed.length} removed, ${changed.length} edited\n`);
+  for (const rename of renames) {
+    console.log(`${apply ? "RENAMED" : "RENAME"} ${rename.from} -> ${rename.to} (${(rename.distance * 100).toFixed(0)}% distance, ${rename.catalog})`);
+    console.log(`  es: ${JSON.stringify(rename.source.before)} => ${JSON.stringify(rename.source.after)}`);
+  }
+  for (const item of review) {
+    console.log(`REVIEW ${item.key || item.to} (${item.catalog}): Spanish source changed, English unchanged`);
+    console.log(`  es: ${JSON.stringify(item.source.before)} => ${JSON.stringify(item.source.after)}`);
+    console.log(`  en: ${JSON.stringify(item.en.after)}`);
+  }
+  if (!renames.length && !review.length) console.log("No key renames or English strings pending review.");
+  if (renames.length && !apply) console.log(`\nRun with --apply to keep the previous keys for ${renames.length} entr${renames.length === 1 ? "y" : "ies"}.`);
+}
+
+if (strict && (review.length || (renames.length && !apply))) process.exit(1);
@@ -0,0 +1,84 @@
+import { writeFileSync } from "node:fs";
+import { resolve } from "node:path";
+import { niches, render } from "./generate-niche-landings.mjs";
+import { catalogEntries, catalogLookup, declaredCatalogs, extractStrings, hashKey, listCatalogs, listPages, readPage } from "./i18n-catalogs.mjs";
+import { toCsv, toXliff } from "./i18n-formats.mjs";
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? fallback : args[index + 1];
+};
+const lang = option("lang", "en");
+const out = option("out", null);
+const format = option("format", out?.endsWith(".csv") ? "csv" : "xliff");
+const onlyMissing = args.includes("--missing");
+
+if (!["xliff", "csv"].includes(format)) {
+  console.error(`Unknown format "${format}". Use xliff or csv.`);
+  process.exit(1);
+}
+
+const entriesByCatalog = new Map(listCatalogs().map((name) => [name, catalogEntries(name)]));
+const isCopy = (text) => /\p{L}{2}/u.test(text);
+const units = new Map();
+
+for (const entries of entriesByCatalog.values()) {
+  for (const entry of entries) {
+    units.set(entry.key, {
+      key: entry.key,
+      catalog: entry.catalog,
+      context: entry.context || null,
+      pages: new Set(),
+      source: entry.es,
+      target: entry[lang] || "",
+      origin: "catalog"
+    });
+  }
+}
+
+// Las cadenas de generate-niche-landings.mjs que aun no estan en un catalogo salen con la clave hash
+// de landing/common, que es el catalogo que declaran las paginas generadas.
+const generated = new Map(niches.map((niche) => [`landing-${niche.slug}.html`, render(niche)]));
+const pages = [...listPages().filter((page) => !generated.has(page)).map((page) => [page, readPage(page)]), ...generated];
+
+for (const [page, html] of pages) {
+  const catalogs = declaredCatalogs(html);
+  if (!catalogs.length) continue;
+  const { find } = catalogLookup(catalogs.flatMap((name) => entriesByCatalog.get(name) || []));
+  for (const item of extractStrings(html)) {
+    if (item.type !== "key" && !isCopy(item.text)) continue;
+    const entry = find(item);
+    if (entry) {
+      units.get(entry.key).pages.add(page);
+      continue;
+    }
+    if (!generated.has(page) || item.type === "key") continue;
+    const key = hashKey(item.context ? `${item.context}\u0004${item.text}` : item.text);
+    if (!units.has(key)) {
+      units.set(key, {
+        key,
+        catalog: "landing/common",
+        context: item.context || null,
+        pages: new Set(),
+        source: item.text,
+        target: "",
+        origin: "tools/generate-niche-landings.mjs"
+      });
+    }
+    units.get(key).pages.add(page);
+  }
+}
+
+const exported = Array.from(units.values())
+  .map((unit) => ({ ...unit, pages: Array.from(unit.pages).sort() }))
+  .filter((unit) => !onlyMissing || !unit.target);
+const document = (format === "csv" ? toCsv : toXliff)(exported, { sourceLanguage: "es", targetLanguage: lang });
+
+if (out) {
+  writeFileSync(resolve(process.cwd(), out), document, "utf8");
+  const pending = exported.filter((unit) => !unit.target).length;
+  console.log(`Exported ${exported.length} units (${pending} without "${lang}") to ${out}.`);
+} else {
+  process.stdout.write(document);
+}
@@ -0,0 +1,79 @@
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { resolve } from "node:path";
+import { listPages, root } from "./i18n-catalogs.mjs";
+
+// Reglas de servidor equivalentes a la politica de i18n.js: la URL manda, solo se corrigen el ?lang=
+// de enlaces antiguos (301) y las rutas /en/ de paginas sin traduccion (302). Nunca por Accept-Language.
+// Las redirecciones conservan la query (UTM, noredirect).
+// La web se sirve hoy desde GitHub Pages (CNAME novaix.es), que no lee _redirects ni mapas de nginx: estas
+// reglas son para cuando se pase a Netlify o a un servidor propio. Mientras tanto el ?lang= lo corrige
+// i18n.js en el navegador y una ruta /en/ sin traduccion acaba en el 404 de GitHub Pages.
+const checkOnly = process.argv.includes("--check");
+const outDir = resolve(root, "deploy");
+const prefix = "/en";
+
+const spanishPages = [
+  ...listPages().filter((page) => !page.startsWith("en/")),
+  ...(existsSync(resolve(root, "privacy/index.html")) ? ["privacy/index.html"] : [])
+];
+const publicPath = (page) => `/${page}`.replace(/(^|\/)index\.html$/, "$1");
+const pages = spanishPages.map((page) => ({
+  es: publicPath(page),
+  aliases: page.endsWith("index.html") ? [publicPath(page), `/${page}`] : [publicPath(page)],
+  en: existsSync(resolve(root, "en", page)) ? `${prefix}${publicPath(page)}` : null
+}));
+const header = "Generado por tools/generate-language-redirects.mjs: no editar a mano.";
+const hostNote = "Para Netlify o nginx: GitHub Pages, donde se sirve hoy la web, no aplica estas reglas.";
+
+const netlify = [
+  `# ${header}`,
+  `# ${hostNote}`,
+  "# ?lang= lo resuelve i18n.js en el navegador; aqui solo se cubren rutas inglesas sin traduccion.",
+  `${prefix}  ${prefix}/  301`,
+  ...pages.filter((page) => !page.en).flatMap((page) => page.aliases.map((alias) => `${prefix}${alias}  ${page.es}  302`))
+];
+
+const legacy = pages.filter((page) => page.en).flatMap((page) => [
+  ...page.aliases.map((alias) => `  "0|${alias}|en" ${page.en};`),
+  ...page.aliases.map((alias) => `  "0|${prefix}${alias}|es" ${page.es};`)
+]);
+const missing = pages.filter((page) => !page.en).flatMap((page) => page.aliases.map((alias) => `  ${prefix}${alias} ${page.es};`));
+const nginx = [
+  `# ${header}`,
+  `# ${hostNote}`,
+  "# Incluir en el bloque http { } y, dentro de server { }:",
+  "#   if ($novaix_language_redirect) { return 301 $novaix_language_redirect$is_args$args; }",
+  "#   if ($novaix_missing_translation) { return 302 $novaix_missing_translation$is_args$args; }",
+  "",
+  "map $args $novaix_noredirect {",
+  "  default 0;",
+  "  ~(^|&)noredirect(=|&|$) 1;",
+  "}",
+  "",
+  "map \"$novaix_noredirect|$uri|$arg_lang\" $novaix_language_redirect {",
+  "  default \"\";",
+  ...legacy,
+  "}",
+  "",
+  "map $uri $novaix_missing_translation {",
+  "  default \"\";",
+  `  ${prefix} ${prefix}/;`,
+  ...missing,
+  "}"
+];
+
+const outputs = [["_redirects", netlify], ["nginx-language-redirects.conf", nginx]]
+  .map(([file, lines]) => ({ file, path: resolve(outDir, file), content: `${lines.join("\n")}\n` }));
+const stale = outputs.filter(({ path, content }) => !existsSync(path) || readFileSync(path, "utf8") !== content);
+
+if (checkOnly) {
+  if (stale.length) {
+    console.error(`Out of date: ${stale.map(({ file }) => `deploy/${file}`).join(", ")}\nRun node tools/generate-language-redirects.mjs`);
+    process.exit(1);
+  }
+  console.log(`Language redirect rules up to date for ${pages.length} pages.`);
+} else {
+  mkdirSync(outDir, { recursive: true });
+  stale.forEach(({ path, content }) => writeFileSync(path, content, "utf8"));
+  console.log(`Wrote language redirect rules for ${pages.length} pages (${pages.filter((page) => !page.en).length} without English version) to deploy/.`);
+}
@@ -4,7 +4,7 @@ import { fileURLToPath } from "node:url";
 
 const root = resolve(dirname(fileURLToPath(import.meta.url)), "..");
 
-const niches = [
+export const niches = [
   {
     slug: "transporte",
     name: "Transporte y logística",
@@ -31,7 +31,11 @@ const niches = [
       ["¿La IA decide rutas o precios?", "No. Recoge y estructura información; las decisiones operativas y tarifarias siguen en el equipo."],
       ["¿Puede informar sobre un envío?", "Sí, cuando se conecta a una fuente autorizada y se definen exactamente los estados que puede comunicar."],
       ["¿Sirve para transportistas pequeños?", "Sí. El sistema se ajusta al volumen real y puede empezar por un solo flujo, como presupuestos o incidencias."]
-    ]
+    ],
+    chat: {
+      greeting: "Hola, soy NOVAIX. Cuéntame cómo recibís hoy solicitudes, incidencias y consultas de estado.",
+      prompts: [["Solicitudes de servicio", "Quiero ordenar las solicitudes de presupuesto y servicio."], ["Incidencias", "Quiero clasificar y priorizar incidencias de entregas."], ["Estado de envíos", "Quiero responder consultas de estado sin saturar al equipo."]]
+    }
   },
   {
     slug: "clinicas-dentales",
@@ -59,7 +63,11 @@ const niches = [
       ["¿Puede dar diagnósticos dentales?", "No. La automatización solo atiende procesos administrativos y deriva las cuestiones clínicas."],
       ["¿Se integra con la agenda?", "Sí, si el software ofrece una integración compatible o un flujo seguro de sincronización."],
       ["¿Puede reducir ausencias?", "Puede confirmar citas y enviar recordatorios; el resultado depende de la base de pacientes y las reglas de comunicación."]
-    ]
+    ],
+    chat: {
+      greeting: "Hola, soy NOVAIX. Cuéntame cómo gestionáis hoy citas, primeras visitas y recordatorios en tu clínica.",
+      prompts: [["Primeras visitas", "Quiero organizar las solicitudes de primera visita."], ["Recordatorios", "Quiero reducir ausencias con recordatorios automáticos."], ["Presupuestos", "Quiero hacer seguimiento de los presupuestos de tratamiento."]]
+    }
   },
   {
     slug: "veterinarias",
@@ -87,7 +95,11 @@ const niches = [
       ["¿Puede valorar una urgencia veterinaria?", "No sustituye el triaje clínico. Ante señales definidas, indica el canal urgente aprobado y escala al equipo."],
       ["¿Puede recordar vacunas?", "Sí, usando fechas y consentimientos disponibles en una fuente autorizada."],
       ["¿Gestiona varias clínicas?", "Puede separar agendas, horarios, servicios y reglas por centro."]
-    ]
+    ],
+    chat: {
+      greeting: "Hola, soy NOVAIX. Cuéntame cómo gestionáis hoy citas, urgencias y recordatorios de vacunas.",
+      prompts: [["Citas y urgencias", "Quiero separar las citas normales de las urgencias."], ["Vacunas y revisiones", "Quiero enviar recordatorios de vacunas y revisiones."], ["Dudas frecuentes", "Quiero responder automáticamente las dudas más habituales."]]
+    }
   },
   {
     slug: "asesorias-gestorias",
@@ -115,7 +127,11 @@ const niches = [
       ["¿La IA ofrece asesoramiento fiscal?", "No. Organiza la solicitud y responde información administrativa aprobada; el criterio corresponde al asesor."],
       ["¿Puede trabajar con documentos?", "Puede solicitar, clasificar y registrar archivos dentro de un entorno autorizado y con controles de acceso."],
       ["¿Se integra con un CRM?", "Sí, cuando existe API, webhook o una vía de integración compatible."]
-    ]
+    ],
+    chat: {
+      greeting: "Hola, soy NOVAIX. Cuéntame cómo recibís hoy la documentación y las consultas de tus clientes.",
+      prompts: [["Recogida de documentos", "Quiero pedir y ordenar la documentación de los clientes."], ["Plazos y avisos", "Quiero avisar a los clientes de plazos y trámites pendientes."], ["Consultas repetidas", "Quiero responder las consultas repetidas sin ocupar al equipo."]]
+    }
   },
   {
     slug: "academias",
@@ -143,7 +159,11 @@ const niches = [
       ["¿Puede recomendar un nivel?", "Puede recopilar información y aplicar reglas aprobadas; la evaluación académica final sigue en el centro."],
       ["¿Funciona para varias sedes?", "Sí. Puede separar cursos, horarios, calendarios y equipos por sede."],
       ["¿Puede atender en varios idiomas?", "Sí, siempre que el contenido y las reglas estén revisados en cada idioma."]
-    ]
+    ],
+    chat: {
+      greeting: "Hola, soy NOVAIX. Cuéntame cómo gestionáis hoy matrículas, horarios y consultas de alumnos.",
+      prompts: [["Matrículas", "Quiero automatizar las solicitudes de información y matrícula."], ["Horarios y plazas", "Quiero responder dudas sobre horarios y plazas disponibles."], ["Avisos a familias", "Quiero avisar a alumnos y familias de cambios y pagos."]]
+    }
   },
   {
     slug: "reformas-servicios",
@@ -171,7 +191,11 @@ const niches = [
       ["¿Puede cerrar un presupuesto?", "Solo cuando existen tarifas y reglas aprobadas. Los trabajos que requieren visita se derivan al profesional."],
       ["¿Puede recibir fotografías?", "Sí, mediante canales compatibles y con una política definida de conservación."],
       ["¿Sirve para distintos gremios?", "Sí. Los formularios y reglas se adaptan a reformas, climatización, electricidad, fontanería u otros servicios."]
-    ]
+    ],
+    chat: {
+      greeting: "Hola, soy NOVAIX. Cuéntame cómo recibís hoy las solicitudes de presupuesto y las visitas.",
+      prompts: [["Solicitudes de presupuesto", "Quiero recoger los datos de cada trabajo antes de presupuestar."], ["Visitas técnicas", "Quiero agendar visitas técnicas sin llamadas de ida y vuelta."], ["Seguimiento", "Quiero hacer seguimiento de los presupuestos enviados."]]
+    }
   }
 ];
 
@@ -179,7 +203,7 @@ function esc(value) {
   return value.replaceAll("&", "&amp;").replaceAll("<", "&lt;").replaceAll('"', "&quot;");
 }
 
-function render(niche) {
+export function render(niche) {
   const url = `https://novaix.es/landing-${niche.slug}.html`;
   const features = niche.features.map(([icon, title, text]) => `
           <article class="feature-card reveal"><i class="fa-solid ${icon}"></i><h3>${title}</h3><p>${text}</p></article>`).join("");
@@ -187,6 +211,8 @@ function render(niche) {
             <div class="step"><span>${index + 1}</span><div><strong>${title}</strong><p>${text}</p></div></div>`).join("");
   const faq = niche.faq.map(([question, answer]) => `
           <details class="reveal"><summary>${question}</summary><p>${answer}</p></details>`).join("");
+  // El chat se declara en espanol; landing-common.js lo traduce con novaixT (i18n/landing/common.json)
+  const chatPrompts = niche.chat.prompts.map(([label, prompt]) => `<button type="button" data-prompt="${esc(prompt)}">${label}</button>`).join("");
   const schema = {
     "@context": "https://schema.org",
     "@graph": [
@@ -241,7 +267,7 @@ function render(niche) {
   <link rel="stylesheet" href="https://assets.calendly.com/assets/external/widget.css">
   <link href="https://fonts.googleapis.com/css2?family=Space+Grotesk:wght@400;500;600;700;800&display=swap" rel="stylesheet">
   <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.1/css/all.min.css" crossorigin="anonymous" referrerpolicy="no-referrer">
-  <link rel="stylesheet" href="landing-sector.css">
+  <link rel="stylesheet" href="landing-sector.css?v=20261019-1">
   <style>:root{--bg:#0b0f12}body{--primary:${niche.primary};--secondary:${niche.secondary};--accent:#ff6f52;--hero-image:url("${niche.image}")}</style>
   <script type="application/ld+json">${JSON.stringify(schema)}</script>
 </head>
@@ -266,7 +292,7 @@ function render(niche) {
         <div class="ops-head"><strong>NOVAIX Operations</strong><span class="status-dot">Preparado</span></div>
         <div class="ops-body">
           <div class="ops-metric-grid"><div class="ops-metric"><strong>01</strong><span>entrada unificada</span></div><div class="ops-metric"><strong>02</strong><span>reglas del negocio</span></div><div class="ops-metric"><strong>03</strong><span>equipo informado</span></div></div>
-          <div class="whatsapp-screen"><div class="whatsapp-top"><span><i class="fa-brands fa-whatsapp"></i> Atención automatizada</span><span>Online</span></div><div class="wa-thread"><div class="wa-label">Nueva solicitud</div><div class="wa-bubble user"><strong>Cliente</strong>Necesito información y disponibilidad.<small>09:41</small></div><div class="wa-bubble ai"><strong>NOVAIX</strong>Te ayudo. Voy a recoger los datos necesarios y proponerte el siguiente paso.<small>09:41</small></div><div class="wa-bubble user"><strong>Cliente</strong>Perfecto, ¿qué necesitas?<small>09:42</small></div><div class="wa-bubble ai"><strong>NOVAIX</strong>Solo la información imprescindible. Si hace falta criterio profesional, lo revisará el equipo.<small>09:42</small></div></div></div>
+          <div class="whatsapp-screen" data-i18n-context="whatsapp"><div class="whatsapp-top"><span><i class="fa-brands fa-whatsapp"></i> Atención automatizada</span><span>Online</span></div><div class="wa-thread"><div class="wa-label">Nueva solicitud</div><div class="wa-bubble user"><strong>Cliente</strong>Necesito información y disponibilidad.<small>09:41</small></div><div class="wa-bubble ai"><strong>NOVAIX</strong>Te ayudo. Voy a recoger los datos necesarios y proponerte el siguiente paso.<small>09:41</small></div><div class="wa-bubble user"><strong>Cliente</strong>Perfecto, ¿qué necesitas?<small>09:42</small></div><div class="wa-bubble ai"><strong>NOVAIX</strong>Solo la información imprescindible. Si hace falta criterio profesional, lo revisará el equipo.<small>09:42</small></div></div></div>
           <div class="ops-footer"><div class="pulse-line" aria-hidden="true"><span></span></div><span>Canales, agenda y CRM conectables</span></div>
         </div>
       </aside>
@@ -279,20 +305,24 @@ function render(niche) {
     <section class="section business-index" aria-labelledby="business-index-title"><div class="container business-index-panel reveal"><div><span class="section-kicker">Otros sectores</span><h2 id="business-index-title">Explora automatizaciones para otros tipos de negocio</h2><p>Cada página adapta la solución al cliente, la agenda, los datos y las decisiones propias del sector.</p></div><a class="btn btn-secondary" href="landing-negocios.html"><i class="fa-solid fa-layer-group"></i>Ver todos los negocios</a></div></section>
     <section class="cta-band"><div class="container"><div class="reveal"><h2>¿Qué proceso repetitivo frena hoy a tu equipo?</h2><p>Revisamos canales, volumen, herramientas y límites para proponerte un primer flujo viable.</p></div><button class="btn btn-primary reveal" type="button" data-calendly-open><i class="fa-regular fa-calendar-check"></i>Agendar diagnóstico</button></div></section>
   </main>
-  <footer><div class="container footer-inner"><p>© <span id="year"></span> NOVAIX. Automatización e IA para operaciones, ventas y atención.</p><p><a href="mailto:info@novaix.es">info@novaix.es</a> · <a href="privacy/">Privacidad</a></p></div></footer>
+  <footer><div class="container footer-inner"><p>© <span id="year"></span> NOVAIX. Automatización e IA para operaciones, ventas y atención.</p><p><a href="mailto:info@novaix.es">info@novaix.es</a> · <a href="privacy/">Privacidad</a> · <a href="privacy/#cookies" data-consent-settings>Configurar cookies</a></p></div></footer>
   <div class="modal" id="calendly-modal" role="dialog" aria-modal="true" aria-hidden="true" aria-label="Agenda con NOVAIX"><div class="modal-frame"><button class="modal-close" type="button" aria-label="Cerrar agenda"><i class="fa-solid fa-xmark"></i></button><div class="calendly-inline-widget" data-url="https://calendly.com/novaix-assist/30min?primary_color=${niche.primary.slice(1)}&text_color=fbf8f2&background_color=0b0f12"></div></div></div>
-  <div class="cookie-banner" id="cookie-banner" role="dialog" aria-live="polite" aria-label="Aviso de cookies"><p>Usamos cookies técnicas. Calendly se carga solo cuando abres la agenda.</p><div class="cookie-actions"><button class="btn btn-secondary" type="button" id="cookie-decline">Cerrar</button><button class="btn btn-primary" type="button" id="cookie-accept">Entendido</button></div></div>
-  <script src="landing-language.js"></script>
-  <script src="i18n.js"></script>
-  <script src="landing-common.js"></script>
-  <script src="landing-niche.js"></script>
+  <div data-novaix-chat data-chat-sector="${niche.slug}" hidden><p data-chat-greeting>${niche.chat.greeting}</p>${chatPrompts}</div>
+  <script src="landing-language.js?v=20261019-1"></script>
+  <script src="i18n.js?v=20261019-1" data-i18n-catalogs="site/shared landing/common"></script>
+  <script src="consent.js?v=20261019-1"></script>
+  <script src="landing-common.js?v=20261019-1"></script>
+  <script src="landing-niche.js?v=20261019-1"></script>
 </body>
 </html>
 `;
 }
 
-for (const niche of niches) {
-  writeFileSync(resolve(root, `landing-${niche.slug}.html`), render(niche), "utf8");
-}
+// Las herramientas de traduccion importan niches/render sin regenerar las paginas.
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  for (const niche of niches) {
+    writeFileSync(resolve(root, `landing-${niche.slug}.html`), render(niche), "utf8");
+  }
 
-console.log(`Generated ${niches.length} niche landing pages.`);
+  console.log(`Generated ${niches.length} niche landing pages.`);
+}
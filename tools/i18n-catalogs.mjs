@@ -0,0 +1,174 @@
+import { existsSync, readdirSync, readFileSync, writeFileSync } from "node:fs";
+import { dirname, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+
+export const root = resolve(dirname(fileURLToPath(import.meta.url)), "..");
+export const catalogsDir = resolve(root, "i18n");
+
+export const normalize = (value) => String(value || "").replace(/\s+/g, " ").trim();
+
+export function catalogPath(name) {
+  return resolve(catalogsDir, `${name}.json`);
+}
+
+export function listCatalogs() {
+  return readdirSync(catalogsDir, { withFileTypes: true })
+    .filter((namespace) => namespace.isDirectory())
+    .flatMap((namespace) => readdirSync(resolve(catalogsDir, namespace.name))
+      .filter((file) => file.endsWith(".json"))
+      .map((file) => `${namespace.name}/${file.slice(0, -".json".length)}`))
+    .sort();
+}
+
+export function readCatalog(name) {
+  return JSON.parse(readFileSync(catalogPath(name), "utf8"));
+}
+
+export function writeCatalog(name, catalog) {
+  writeFileSync(catalogPath(name), `${JSON.stringify(catalog, null, 2)}\n`);
+}
+
+export function catalogEntries(name, catalog = readCatalog(name)) {
+  return Object.entries(catalog.entries || {}).map(([key, entry]) => ({
+    ...entry,
+    key,
+    catalog: name,
+    es: entry.es || entry.source
+  }));
+}
+
+// Mismo hash djb2 que usaba landing-language.js para las filas T() sin clave.
+export function hashKey(source, namespace = "landing") {
+  let hash = 5381;
+  String(source || "").split("").forEach((char) => {
+    hash = ((hash << 5) + hash) ^ char.charCodeAt(0);
+  });
+  return `${namespace}.${(hash >>> 0).toString(36)}`;
+}
+
+// Resuelve un elemento de extractStrings igual que i18n.js: por clave, o por texto con y sin contexto.
+export function catalogLookup(entries) {
+  const texts = new Map();
+  const keys = new Map();
+  for (const entry of entries) {
+    keys.set(entry.key, entry);
+    const scope = entry.context ? `${entry.context}\u0004` : "";
+    Object.entries(entry)
+      .filter(([field, value]) => !["key", "catalog", "context"].includes(field) && typeof value === "string")
+      .forEach(([, value]) => texts.set(`${scope}${normalize(value)}`, entry));
+  }
+  return {
+    keys,
+    find: (item) => (item.type === "key"
+      ? keys.get(item.key)
+      : (item.context && texts.get(`${item.context}\u0004${item.text}`)) || texts.get(item.text))
+  };
+}
+
+export function listPages() {
+  const pages = readdirSync(root).filter((file) => file === "index.html" || /^landing-.+\.html$/.test(file));
+  const english = existsSync(resolve(root, "en"))
+    ? readdirSync(resolve(root, "en")).filter((file) => file.endsWith(".html")).map((file) => `en/${file}`)
+    : [];
+  return [...pages.sort(), ...english.sort()];
+}
+
+export function readPage(page) {
+  return readFileSync(resolve(root, page), "utf8");
+}
+
+export function declaredCatalogs(html) {
+  const match = html.match(/<script\b[^>]*\bsrc="(?:\.\.\/)?i18n\.js(?:\?[^"]*)?"[^>]*\bdata-i18n-catalogs="([^"]*)"/);
+  return match ? match[1].split(/\s+/).filter(Boolean) : [];
+}
+
+export const translatableAttrs = ["aria-label", "aria-roledescription", "data-hover", "data-prompt", "placeholder", "alt", "title", "content"];
+const rawTags = new Set(["script", "style", "noscript", "svg", "canvas"]);
+const voidTags = new Set(["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "param", "source", "track", "wbr"]);
+
+export const hasRichTags = (text) => /<\/?\d+\s*\/?>/.test(text || "");
+export const richTags = (text) => (String(text || "").match(/<\/?\d+\s*\/?>/g) || []).map((tag) => tag.replace(/\s+/g, "")).sort();
+const namedEntities = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " ", middot: "·", hellip: "…", copy: "©", mdash: "—", ndash: "–" };
+
+export function decodeEntities(value) {
+  return String(value || "").replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === "#") {
+      const point = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(point) ? String.fromCodePoint(point) : match;
+    }
+    return namedEntities[code.toLowerCase()] ?? match;
+  });
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  for (const match of source.matchAll(/([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g)) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? "");
+  }
+  return attributes;
+}
+
+function isAuditedAttribute(tag, name, attributes) {
+  if (name !== "content") return true;
+  return tag === "meta" && /title|description/i.test(attributes.name || attributes.property || "");
+}
+
+// Recorre el HTML con las mismas reglas que translateNode/translateAttributes de i18n.js.
+export function extractStrings(html) {
+  const strings = [];
+  // Contenedores abiertos con data-i18n-context o data-i18n: [{ tag, depth, context, owner }]
+  const scopes = [];
+  let skipUntil = null;
+  let skipDepth = 0;
+  for (const match of html.matchAll(/<!--[\s\S]*?-->|<![^>]*>|<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|[^<]+|</g)) {
+    const [token, closing, rawTag, rawAttributes] = match;
+    if (token.startsWith("<!")) continue;
+    const tag = rawTag?.toLowerCase();
+    if (skipUntil) {
+      if (tag === skipUntil) skipDepth += closing ? -1 : (/\/\s*$/.test(rawAttributes) ? 0 : 1);
+      if (skipDepth === 0) skipUntil = null;
+      continue;
+    }
+    const scope = scopes[scopes.length - 1];
+    if (!tag) {
+      const text = normalize(decodeEntities(token));
+      if (text) strings.push({ type: "text", text, context: scope?.context || null, owner: scope?.owner || null });
+      continue;
+    }
+    if (closing) {
+      if (scope && scope.tag === tag && --scope.depth === 0) scopes.pop();
+      continue;
+    }
+    const selfClosing = /\/\s*$/.test(rawAttributes) || voidTags.has(tag);
+    if (scope && scope.tag === tag && !selfClosing) scope.depth += 1;
+    const attributes = parseAttributes(rawAttributes);
+    if (rawTags.has(tag) || attributes.translate === "no") {
+      if (scope && scope.tag === tag && !selfClosing) scope.depth -= 1;
+      if (!selfClosing) {
+        skipUntil = tag;
+        skipDepth = 1;
+      }
+      continue;
+    }
+    if ((attributes["data-i18n-context"] || attributes["data-i18n"]) && !selfClosing) {
+      if (scope && scope.tag === tag) scope.depth -= 1;
+      scopes.push({
+        tag,
+        depth: 1,
+        context: attributes["data-i18n-context"] || scope?.context || null,
+        owner: attributes["data-i18n"] || scope?.owner || null
+      });
+    }
+    const context = scopes[scopes.length - 1]?.context || null;
+    if (attributes["data-i18n"]) strings.push({ type: "key", key: attributes["data-i18n"], tag });
+    for (const [name, value] of Object.entries(attributes)) {
+      if (name.startsWith("data-i18n-attr-")) {
+        strings.push({ type: "key", key: value, attribute: name.slice("data-i18n-attr-".length), tag });
+      } else if (translatableAttrs.includes(name) && isAuditedAttribute(tag, name, attributes)) {
+        const text = normalize(value);
+        if (text) strings.push({ type: "attribute", attribute: name, text, tag, context });
+      }
+    }
+  }
+  return strings;
+}
@@ -0,0 +1,156 @@
+// Lectura y escritura de memorias de traduccion (XLIFF 2.0 y CSV) para los catalogos de i18n/.
+// Cada unidad: { key, catalog, context, pages, source, target, origin }.
+
+const xmlEscape = (value) => String(value ?? "")
+  .replaceAll("&", "&amp;")
+  .replaceAll("<", "&lt;")
+  .replaceAll(">", "&gt;")
+  .replaceAll("\"", "&quot;");
+
+const xmlUnescape = (value) => String(value ?? "")
+  .replace(/&#x([\da-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+  .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+  .replaceAll("&lt;", "<")
+  .replaceAll("&gt;", ">")
+  .replaceAll("&quot;", "\"")
+  .replaceAll("&apos;", "'")
+  .replaceAll("&amp;", "&");
+
+// Los marcadores <0>…</0> y <0/> de i18n.js viajan como codigos en linea <pc>/<ph> para que el CAT los proteja.
+function toInline(text) {
+  return xmlEscape(text)
+    .replace(/&lt;(\d+)\s*\/&gt;/g, "<ph id=\"$1\"/>")
+    .replace(/&lt;(\d+)&gt;/g, "<pc id=\"$1\">")
+    .replace(/&lt;\/\d+&gt;/g, "</pc>");
+}
+
+function fromInline(xml) {
+  const open = [];
+  const text = xml.replace(/<ph\b[^>]*\bid="(\d+)"[^>]*\/>|<pc\b[^>]*\bid="(\d+)"[^>]*>|<\/pc>/g, (match, placeholder, paired) => {
+    if (placeholder !== undefined) return `&lt;${placeholder}/&gt;`;
+    if (paired !== undefined) {
+      open.push(paired);
+      return `&lt;${paired}&gt;`;
+    }
+    return `&lt;/${open.pop()}&gt;`;
+  });
+  return xmlUnescape(text.replace(/<[^>]+>/g, ""));
+}
+
+export function toXliff(units, { sourceLanguage = "es", targetLanguage = "en" } = {}) {
+  const files = new Map();
+  units.forEach((unit) => {
+    if (!files.has(unit.catalog)) files.set(unit.catalog, []);
+    files.get(unit.catalog).push(unit);
+  });
+  const lines = [
+    "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+    `<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="${sourceLanguage}" trgLang="${targetLanguage}">`
+  ];
+  Array.from(files).forEach(([catalog, items], index) => {
+    lines.push(`  <file id="f${index + 1}" original="i18n/${xmlEscape(catalog)}.json">`);
+    for (const unit of items) {
+      lines.push(`    <unit id="${xmlEscape(unit.key)}">`);
+      const notes = [["context", unit.context], ["location", unit.pages.join(", ")], ["origin", unit.origin !== "catalog" && unit.origin]]
+        .filter(([, value]) => value)
+        .map(([category, value]) => `        <note category="${category}">${xmlEscape(value)}</note>`);
+      if (notes.length) lines.push("      <notes>", ...notes, "      </notes>");
+      lines.push(`      <segment state="${unit.target ? "translated" : "initial"}">`);
+      lines.push(`        <source>${toInline(unit.source)}</source>`);
+      if (unit.target) lines.push(`        <target>${toInline(unit.target)}</target>`);
+      lines.push("      </segment>");
+      lines.push("    </unit>");
+    }
+    lines.push("  </file>");
+  });
+  lines.push("</xliff>");
+  return `${lines.join("\n")}\n`;
+}
+
+export function fromXliff(xml) {
+  const attribute = (tag, name) => tag.match(new RegExp(`\\b${name}="([^"]*)"`))?.[1];
+  const root = xml.match(/<xliff\b[^>]*>/)?.[0];
+  if (!root) throw new Error("not an XLIFF document");
+  if (attribute(root, "version") !== "2.0") throw new Error("only XLIFF 2.0 is supported");
+  const units = [];
+  for (const [, fileTag, fileBody] of xml.matchAll(/(<file\b[^>]*>)([\s\S]*?)<\/file>/g)) {
+    const catalog = xmlUnescape(attribute(fileTag, "original") || "").replace(/^i18n\//, "").replace(/\.json$/, "");
+    for (const [, unitTag, unitBody] of fileBody.matchAll(/(<unit\b[^>]*>)([\s\S]*?)<\/unit>/g)) {
+      const element = (name) => unitBody.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`))?.[1];
+      const note = (category) => unitBody.match(new RegExp(`<note\\b[^>]*category="${category}"[^>]*>([\\s\\S]*?)</note>`))?.[1];
+      const target = element("target");
+      units.push({
+        key: xmlUnescape(attribute(unitTag, "id")),
+        catalog,
+        context: note("context") ? xmlUnescape(note("context")) : null,
+        source: fromInline(element("source") || "").trim(),
+        target: target === undefined ? "" : fromInline(target).trim()
+      });
+    }
+  }
+  return { sourceLanguage: attribute(root, "srcLang"), targetLanguage: attribute(root, "trgLang"), units };
+}
+
+const csvField = (value) => {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll("\"", "\"\"")}"` : text;
+};
+
+export function toCsv(units, { sourceLanguage = "es", targetLanguage = "en" } = {}) {
+  const rows = [["key", "catalog", "context", "pages", sourceLanguage, targetLanguage]];
+  units.forEach((unit) => rows.push([unit.key, unit.catalog, unit.context || "", unit.pages.join(" "), unit.source, unit.target || ""]));
+  return `${rows.map((row) => row.map(csvField).join(",")).join("\r\n")}\r\n`;
+}
+
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (quoted) {
+      if (char === "\"" && text[index + 1] === "\"") {
+        field += "\"";
+        index += 1;
+      } else if (char === "\"") {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === "\"") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[index + 1] === "\n") index += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) rows.push([...row, field]);
+  return rows.filter((cells) => cells.some(Boolean));
+}
+
+export function fromCsv(text) {
+  const [header, ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ""));
+  if (!header || header.slice(0, 4).join(",") !== "key,catalog,context,pages" || header.length < 6) {
+    throw new Error("expected the header key,catalog,context,pages,<source language>,<target language>");
+  }
+  return {
+    sourceLanguage: header[4],
+    targetLanguage: header[5],
+    units: rows.map((cells) => ({
+      key: cells[0],
+      catalog: cells[1],
+      context: cells[2] || null,
+      source: (cells[4] || "").trim(),
+      target: (cells[5] || "").trim()
+    }))
+  };
+}
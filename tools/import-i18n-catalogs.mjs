@@ -0,0 +1,84 @@
+import { readFileSync } from "node:fs";
+import { resolve } from "node:path";
+import { catalogEntries, listCatalogs, normalize, readCatalog, richTags, writeCatalog } from "./i18n-catalogs.mjs";
+import { fromCsv, fromXliff } from "./i18n-formats.mjs";
+
+const args = process.argv.slice(2);
+const file = args.find((arg) => !arg.startsWith("--"));
+const dryRun = args.includes("--dry-run");
+const asJson = args.includes("--json");
+
+if (!file) {
+  console.error("Usage: node tools/import-i18n-catalogs.mjs <file.xlf|file.csv> [--dry-run] [--json]");
+  process.exit(1);
+}
+
+let memory;
+try {
+  const content = readFileSync(resolve(process.cwd(), file), "utf8");
+  memory = file.endsWith(".csv") ? fromCsv(content) : fromXliff(content);
+} catch (error) {
+  console.error(`${file}: ${error.message}`);
+  process.exit(1);
+}
+
+const lang = memory.targetLanguage;
+if (!/^[a-z]{2,3}(?:-[a-z0-9]{2,8})?$/i.test(lang || "") || lang === "es") {
+  console.error(`${file}: unsupported target language "${lang}"`);
+  process.exit(1);
+}
+
+const catalogs = new Map(listCatalogs().map((name) => [name, readCatalog(name)]));
+const entries = new Map(Array.from(catalogs).flatMap(([name, catalog]) => catalogEntries(name, catalog)).map((entry) => [entry.key, entry]));
+const report = { language: lang, updated: [], added: [], unchanged: 0, untranslated: 0, rejected: [] };
+const touched = new Set();
+
+for (const unit of memory.units) {
+  if (!unit.target) {
+    report.untranslated += 1;
+    continue;
+  }
+  if (richTags(unit.target).join(" ") !== richTags(unit.source).join(" ")) {
+    report.rejected.push({ key: unit.key, reason: "placeholders differ from source" });
+    continue;
+  }
+  const entry = entries.get(unit.key);
+  if (entry) {
+    // Si el espanol cambio desde la exportacion, la traduccion corresponde a otro texto.
+    if (normalize(entry.es) !== normalize(unit.source)) {
+      report.rejected.push({ key: unit.key, reason: "Spanish source changed since export" });
+      continue;
+    }
+    if (entry[lang] === unit.target) {
+      report.unchanged += 1;
+      continue;
+    }
+    catalogs.get(entry.catalog).entries[entry.key][lang] = unit.target;
+    report.updated.push({ key: unit.key, catalog: entry.catalog, before: entry[lang] || null, after: unit.target });
+    touched.add(entry.catalog);
+    continue;
+  }
+  const catalog = catalogs.get(unit.catalog);
+  if (!catalog || !unit.key.startsWith(`${unit.catalog.split("/")[0]}.`)) {
+    report.rejected.push({ key: unit.key, reason: `unknown key for catalog "${unit.catalog}"` });
+    continue;
+  }
+  catalog.entries[unit.key] = { source: unit.source, ...(unit.context ? { context: unit.context } : {}), [lang]: unit.target };
+  report.added.push({ key: unit.key, catalog: unit.catalog, after: unit.target });
+  touched.add(unit.catalog);
+}
+
+if (!dryRun) touched.forEach((name) => writeCatalog(name, catalogs.get(name)));
+
+if (asJson) {
+  console.log(JSON.stringify(report, null, 2));
+} else {
+  report.updated.forEach((item) => {
+    console.log(`UPDATED ${item.key} (${item.catalog})\n  ${JSON.stringify(item.before)} => ${JSON.stringify(item.after)}`);
+  });
+  report.added.forEach((item) => console.log(`ADDED ${item.key} (${item.catalog})\n  ${JSON.stringify(item.after)}`));
+  report.rejected.forEach((item) => console.log(`REJECTED ${item.key}: ${item.reason}`));
+  console.log(`\n${dryRun ? "Would import" : "Imported"} "${lang}" from ${file}: ${report.updated.length} updated, ${report.added.length} added, ${report.unchanged} unchanged, ${report.untranslated} untranslated, ${report.rejected.length} rejected.`);
+}
+
+if (report.rejected.length) process.exit(1);
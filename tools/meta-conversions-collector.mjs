@@ -0,0 +1,149 @@
+import { appendFileSync } from "node:fs";
+import { createServer } from "node:http";
+
+// Colector de referencia para /webhook/meta-conversions: recibe los eventos que landing-facebook.html envia
+// a la vez que el Pixel (mismo event_id), los completa con la IP y el navegador de la peticion y los reenvia
+// a la API de Conversiones de Meta. Meta deduplica el par Pixel/servidor por event_name + event_id; aqui
+// ademas se ignoran los event_id repetidos para no reenviar reintentos.
+// En la consola del navegador (solo localhost/127.0.0.1):
+//   localStorage.setItem("novaix_conversions_endpoint", "http://localhost:8789/webhook/meta-conversions")
+// Solo acepta peticiones del origen de la web (--origin, por defecto https://novaix.es; admite varios
+// separados por comas). Para probar en local hay que anadir el de la pagina: --origin http://localhost:8000
+// Por defecto el reenvio es falso (--forward mock): muestra en la terminal el cuerpo que se mandaria.
+// Con --forward live lo envia de verdad; necesita META_CAPI_TOKEN y admite META_TEST_EVENT_CODE para que
+// los eventos salgan en "Probar eventos" del Administrador de eventos. --log eventos.jsonl guarda cada envio.
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? fallback : args[index + 1];
+};
+const port = Number(option("port", 8789));
+const forward = option("forward", "mock");
+const pixelId = option("pixel", "1661700948198763");
+const apiVersion = option("api-version", "v21.0");
+const logFile = option("log", null);
+const allowedOrigins = option("origin", "https://novaix.es").split(",").map((origin) => origin.trim()).filter(Boolean);
+const token = process.env.META_CAPI_TOKEN;
+const testEventCode = process.env.META_TEST_EVENT_CODE;
+const allowedEvents = ["Lead"];
+// Meta rechaza eventos de mas de 7 dias
+const maxAge = 7 * 24 * 60 * 60;
+const seen = new Set();
+
+if (!["mock", "live"].includes(forward)) {
+  console.error(`Unknown forward mode "${forward}". Use mock or live.`);
+  process.exit(1);
+}
+if (forward === "live" && !token) {
+  console.error("Set META_CAPI_TOKEN to forward events to the Conversions API.");
+  process.exit(1);
+}
+
+async function readJson(req) {
+  let body = "";
+  for await (const chunk of req) body += chunk;
+  try {
+    return JSON.parse(body || "{}");
+  } catch {
+    return {};
+  }
+}
+
+function validate(event) {
+  const errors = [];
+  const now = Math.floor(Date.now() / 1000);
+  if (!allowedEvents.includes(event.event_name)) errors.push(`event_name must be one of ${allowedEvents.join(", ")}`);
+  if (!event.event_id || typeof event.event_id !== "string") errors.push("event_id is required for deduplication");
+  if (!Number.isInteger(event.event_time) || event.event_time > now + 60 || event.event_time < now - maxAge) {
+    errors.push("event_time must be a unix timestamp from the last 7 days");
+  }
+  if (event.action_source !== "website") errors.push("action_source must be website");
+  if (!/^https?:\/\//.test(event.event_source_url || "")) errors.push("event_source_url is required");
+  return errors;
+}
+
+// Solo los campos que la pagina puede enviar; IP y navegador salen de la propia peticion
+function toConversionsEvent(event, req) {
+  const forwardedFor = req.headers["x-forwarded-for"]?.split(",")[0].trim();
+  const userData = {
+    client_ip_address: forwardedFor || req.socket.remoteAddress,
+    client_user_agent: req.headers["user-agent"],
+    fbp: event.user_data?.fbp,
+    fbc: event.user_data?.fbc
+  };
+  return {
+    event_name: event.event_name,
+    event_id: event.event_id,
+    event_time: event.event_time,
+    event_source_url: event.event_source_url,
+    action_source: "website",
+    user_data: Object.fromEntries(Object.entries(userData).filter(([, value]) => value)),
+    custom_data: event.custom_data || {}
+  };
+}
+
+async function forwardEvent(payload) {
+  if (forward === "mock") return { mocked: true, events_received: payload.data.length };
+  const url = `https://graph.facebook.com/${apiVersion}/${pixelId}/events?access_token=${encodeURIComponent(token)}`;
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload)
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(result.error?.message || `Conversions API responded ${response.status}`);
+  return result;
+}
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  res.setHeader("Vary", "Origin");
+  if (!allowedOrigins.includes(req.headers.origin)) {
+    console.log(`request from origin ${req.headers.origin || "(none)"} rejected`);
+    res.writeHead(403, { "Content-Type": "application/json" }).end(JSON.stringify({ error: "Origin not allowed" }));
+    return;
+  }
+  res.setHeader("Access-Control-Allow-Origin", req.headers.origin);
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+  if (req.method === "OPTIONS") {
+    res.writeHead(204).end();
+    return;
+  }
+  if (req.method !== "POST" || url.pathname !== "/webhook/meta-conversions") {
+    res.writeHead(404, { "Content-Type": "application/json" }).end(JSON.stringify({ error: "Not found" }));
+    return;
+  }
+
+  const event = await readJson(req);
+  const errors = validate(event);
+  if (errors.length) {
+    console.log(`event rejected: ${errors.join("; ")}`);
+    res.writeHead(400, { "Content-Type": "application/json" }).end(JSON.stringify({ ok: false, errors }));
+    return;
+  }
+  if (seen.has(event.event_id)) {
+    console.log(`duplicate ${event.event_name} ${event.event_id} ignored`);
+    res.writeHead(200, { "Content-Type": "application/json" }).end(JSON.stringify({ ok: true, duplicate: true }));
+    return;
+  }
+  seen.add(event.event_id);
+
+  const payload = { data: [toConversionsEvent(event, req)], ...(testEventCode ? { test_event_code: testEventCode } : {}) };
+  if (forward === "mock") console.log(`would POST to /${apiVersion}/${pixelId}/events: ${JSON.stringify(payload)}`);
+  try {
+    const result = await forwardEvent(payload);
+    if (logFile) appendFileSync(logFile, `${JSON.stringify({ ...payload, result })}\n`);
+    console.log(`${event.event_name} ${event.event_id} forwarded (${forward})`);
+    res.writeHead(200, { "Content-Type": "application/json" }).end(JSON.stringify({ ok: true }));
+  } catch (error) {
+    // Se olvida el event_id para que un reintento de la pagina pueda volver a enviarlo
+    seen.delete(event.event_id);
+    console.error(`${event.event_name} ${event.event_id} failed: ${error.message}`);
+    res.writeHead(502, { "Content-Type": "application/json" }).end(JSON.stringify({ ok: false }));
+  }
+});
+
+server.listen(port, () => {
+  console.log(`Meta conversions collector on http://localhost:${port}/webhook/meta-conversions (forward ${forward}, pixel ${pixelId}, origin ${allowedOrigins.join(", ")}).`);
+});
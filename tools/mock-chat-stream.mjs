@@ -0,0 +1,280 @@
+import { createServer } from "node:http";
+import { createInterface } from "node:readline";
+
+// Webhook de chat falso para probar en local sin n8n el streaming del chat compartido (chat-widget.js, que montan
+// index.html y las landings a traves de landing-common.js). Se activa con localStorage.novaix_chat_endpoint;
+// en la consola del navegador (solo localhost/127.0.0.1):
+//   localStorage.setItem("novaix_chat_endpoint", "http://localhost:8787/webhook/ai-chat")
+// El modo sale de ?mode= o --mode (sse, ndjson, json); "auto" sigue la cabecera Accept.
+// Con ?structured=1 o --structured la respuesta incluye respuestas rapidas, enlaces, tarjetas y la accion de agenda.
+// Fallos transitorios: ?fail-status=503&fail-times=2 responde ese estado las 2 primeras veces de cada requestId
+// (con ?retry-after=1 anade la cabecera) y ?wait=30000 retrasa la respuesta para probar el timeout.
+//
+// Atencion humana: si el mensaje pide una persona ("humano", "persona", "agente") el webhook responde con
+// handoff y /webhook/chat-agent hace de equipo (long-poll GET y POST). Una persona se une a los
+// --agent-delay ms y contesta a cada mensaje; lo que se escriba en esta terminal le llega al visitante como
+// mensaje del equipo y "adios" cierra la conversacion. Con ?after-hours=1 el webhook avisa de que no hay nadie.
+//   localStorage.setItem("novaix_chat_agent_endpoint", "http://localhost:8787/webhook/chat-agent")
+//
+// Leads: si el mensaje pide contacto ("contactar", "llamar", "presupuesto") el webhook pide el formulario
+// (lead_form) y los eventos { type: "lead" } y { type: "transcript_email" } se validan y se muestran en la terminal.
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? fallback : args[index + 1];
+};
+const port = Number(option("port", 8787));
+const defaultMode = option("mode", "auto");
+const delay = Number(option("delay", 60));
+const defaultFailAfter = Number(option("fail-after", 0));
+const defaultStructured = args.includes("--structured");
+const agentDelay = Number(option("agent-delay", 1500));
+const agentName = option("agent-name", "Laura");
+const modes = ["auto", "sse", "ndjson", "json"];
+const attempts = new Map();
+const conversations = new Map();
+const wantsContact = (message) => /\b(contactar|contacto|llamar|llamadme|presupuesto|contact|call me|quote)\b/i.test(message || "");
+const wantsHuman = (message) => /\b(humano|persona|agente|human|person|agent)\b/i.test(message || "");
+
+if (!modes.includes(defaultMode)) {
+  console.error(`Unknown mode "${defaultMode}". Use ${modes.join(", ")}.`);
+  process.exit(1);
+}
+
+const wait = (ms) => new Promise((done) => setTimeout(done, ms));
+const replyFor = (message) => `Respuesta simulada a "${message}". Cada palabra llega como un fragmento separado para probar el streaming.`;
+const tokensOf = (text) => text.match(/\s*\S+/g) || [];
+// Incluye a proposito un enlace javascript: y HTML en el texto para comprobar que el chat los neutraliza
+const extrasFor = (payload) => ({
+  quickReplies: ["Sí, quiero verlo", { label: "Ver precios", value: "pricing" }],
+  links: [{ label: "Política de privacidad", url: "/privacy/" }, { label: "<b>Malicioso</b>", url: "javascript:alert(1)" }],
+  cards: [
+    { title: "Agente de WhatsApp", text: "Atiende y agenda 24/7.", url: "https://novaix.es/#servicios", label: "Ver servicio" },
+    { title: "Automatización a medida", text: `Respuesta rápida a "${payload.quickReply || "-"}".`, value: "custom-automation" }
+  ],
+  actions: [{ type: "open_booking", label: "Reservar diagnóstico" }]
+});
+
+function resolveMode(url, accept) {
+  const mode = url.searchParams.get("mode") || defaultMode;
+  if (mode !== "auto") return mode;
+  if (accept.includes("text/event-stream")) return "sse";
+  return accept.includes("ndjson") ? "ndjson" : "json";
+}
+
+// sse: data: {"token"} + [DONE]; ndjson: formato de n8n ({type: "begin" | "item" | "end"})
+const formats = {
+  sse: {
+    type: "text/event-stream",
+    token: (token) => `data: ${JSON.stringify({ token })}\n\n`,
+    extras: (extras) => `data: ${JSON.stringify(extras)}\n\n`,
+    error: (message) => `event: error\ndata: ${message}\n\n`,
+    end: () => "data: [DONE]\n\n"
+  },
+  ndjson: {
+    type: "application/x-ndjson",
+    start: () => `${JSON.stringify({ type: "begin" })}\n`,
+    token: (token) => `${JSON.stringify({ type: "item", content: token })}\n`,
+    extras: (extras) => `${JSON.stringify({ type: "item", ...extras })}\n`,
+    error: (message) => `${JSON.stringify({ type: "error", content: message })}\n`,
+    end: () => `${JSON.stringify({ type: "end" })}\n`
+  }
+};
+
+// Conversaciones con el equipo: mensajes numerados (el cursor es el numero ya entregado) y peticiones en espera
+function conversationFor(sessionId) {
+  if (!conversations.has(sessionId)) {
+    const conversation = { status: "waiting", messages: [], waiters: new Set() };
+    conversations.set(sessionId, conversation);
+    setTimeout(() => {
+      conversation.status = "connected";
+      pushAgentMessage(conversation, `Hola, soy ${agentName} del equipo de NOVAIX. He leído la conversación, ¿en qué te ayudo?`);
+    }, agentDelay);
+  }
+  return conversations.get(sessionId);
+}
+
+function notify(conversation) {
+  conversation.waiters.forEach((wake) => wake());
+  conversation.waiters.clear();
+}
+
+function pushAgentMessage(conversation, text) {
+  conversation.messages.push({ id: `m${conversation.messages.length + 1}`, text, author: { name: agentName } });
+  notify(conversation);
+}
+
+function agentUpdate(conversation, after) {
+  return {
+    status: conversation.status,
+    agent: conversation.status === "waiting" ? null : { name: agentName },
+    messages: conversation.messages.slice(after),
+    cursor: conversation.messages.length
+  };
+}
+
+async function handleAgent(req, res, url) {
+  const json = (status, body) => res.writeHead(status, { "Content-Type": "application/json" }).end(JSON.stringify(body));
+  if (req.method === "POST") {
+    const payload = await readJson(req);
+    if (!payload.sessionId || !payload.message) {
+      json(400, { error: "sessionId and message are required" });
+      return;
+    }
+    const conversation = conversationFor(payload.sessionId);
+    console.log(`visitor ${payload.sessionId}: ${payload.message}`);
+    json(200, { ok: true });
+    setTimeout(() => {
+      if (/\badi[oó]s\b|\bbye\b/i.test(payload.message)) {
+        pushAgentMessage(conversation, "Gracias por escribirnos. Cierro la conversación.");
+        conversation.status = "closed";
+        notify(conversation);
+      } else {
+        pushAgentMessage(conversation, `Recibido: "${payload.message}". Lo reviso y te digo algo enseguida.`);
+      }
+    }, 800);
+    return;
+  }
+  const sessionId = url.searchParams.get("sessionId");
+  if (!sessionId) {
+    json(400, { error: "sessionId is required" });
+    return;
+  }
+  const conversation = conversationFor(sessionId);
+  const after = Number(url.searchParams.get("after") || 0);
+  const waitFor = Math.min(Number(url.searchParams.get("wait") || 0), 25) * 1000;
+  const status = conversation.status;
+  if (conversation.messages.length <= after && waitFor) {
+    await new Promise((done) => {
+      const timer = setTimeout(done, waitFor);
+      conversation.waiters.add(() => {
+        clearTimeout(timer);
+        done();
+      });
+    });
+  }
+  if (!req.socket.destroyed) json(200, agentUpdate(conversation, after));
+  if (status !== conversation.status) console.log(`conversation ${sessionId} is ${conversation.status}`);
+}
+
+async function readJson(req) {
+  let body = "";
+  for await (const chunk of req) body += chunk;
+  try {
+    return JSON.parse(body || "{}");
+  } catch {
+    return {};
+  }
+}
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  res.setHeader("Access-Control-Allow-Origin", req.headers.origin || "*");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  if (req.method === "OPTIONS") {
+    res.writeHead(204).end();
+    return;
+  }
+  if (url.pathname === "/webhook/chat-agent" && ["GET", "POST"].includes(req.method)) {
+    await handleAgent(req, res, url);
+    return;
+  }
+  if (req.method !== "POST" || url.pathname !== "/webhook/ai-chat") {
+    res.writeHead(404, { "Content-Type": "application/json" }).end(JSON.stringify({ error: "Not found" }));
+    return;
+  }
+
+  const payload = await readJson(req);
+  if (payload.type === "transcript_email") {
+    const valid = Boolean(payload.email && payload.consent?.privacy === true && Array.isArray(payload.transcript));
+    console.log(`transcript email ${valid ? "accepted" : "rejected"}: ${payload.email} (${payload.transcript?.length || 0} messages)`);
+    res.writeHead(valid ? 200 : 422, { "Content-Type": "application/json" }).end(JSON.stringify({ ok: valid }));
+    return;
+  }
+  if (payload.type === "lead") {
+    const { lead = {}, consent = {}, context = {} } = payload;
+    const valid = Boolean(lead.name && (lead.email || lead.phone) && consent.privacy === true);
+    console.log(`lead ${valid ? "accepted" : "rejected"}: ${JSON.stringify({ lead, consent, utm: context.utm, session: payload.sessionId })}`);
+    res.writeHead(valid ? 200 : 422, { "Content-Type": "application/json" }).end(JSON.stringify({ ok: valid }));
+    return;
+  }
+  const failStatus = Number(url.searchParams.get("fail-status") || 0);
+  const attempt = (attempts.get(payload.requestId) || 0) + 1;
+  attempts.set(payload.requestId, attempt);
+  if (failStatus && attempt <= Number(url.searchParams.get("fail-times") || 1)) {
+    console.log(`${req.method} ${url.pathname} request=${payload.requestId || "-"} attempt=${attempt} -> ${failStatus}`);
+    const retryAfter = url.searchParams.get("retry-after");
+    res.writeHead(failStatus, { "Content-Type": "application/json", ...(retryAfter ? { "Retry-After": retryAfter } : {}) })
+      .end(JSON.stringify({ error: "Simulated failure" }));
+    return;
+  }
+  await wait(Number(url.searchParams.get("wait") || 0));
+  if (req.socket.destroyed) {
+    console.log("  client gave up before the response");
+    return;
+  }
+  if (wantsContact(payload.message)) {
+    console.log("  lead form requested");
+    res.writeHead(200, { "Content-Type": "application/json" }).end(JSON.stringify({
+      reply: "Claro. Déjame tus datos y alguien del equipo te contacta.",
+      actions: [{ type: "lead_form" }]
+    }));
+    return;
+  }
+  if (wantsHuman(payload.message)) {
+    const available = !url.searchParams.has("after-hours");
+    console.log(`  handoff requested (team ${available ? "available" : "unavailable"})`);
+    res.writeHead(200, { "Content-Type": "application/json" }).end(JSON.stringify({
+      reply: available ? "Te paso con una persona del equipo. En un momento te atiende." : "Ahora mismo no hay nadie del equipo conectado.",
+      handoff: { status: "waiting", available }
+    }));
+    return;
+  }
+  const mode = resolveMode(url, req.headers.accept || "");
+  const failAfter = Number(url.searchParams.get("fail-after") || defaultFailAfter);
+  const reply = replyFor(payload.message || "");
+  const extras = defaultStructured || url.searchParams.has("structured") ? extrasFor(payload) : null;
+  console.log(`${req.method} ${url.pathname} mode=${mode} session=${payload.sessionId || "-"}${payload.quickReply ? ` quickReply=${payload.quickReply}` : ""}`);
+
+  const format = formats[mode];
+  if (!format) {
+    await wait(delay);
+    res.writeHead(200, { "Content-Type": "application/json" }).end(JSON.stringify({ reply, ...extras }));
+    return;
+  }
+
+  let closed = false;
+  res.on("close", () => { closed = true; });
+  res.writeHead(200, { "Content-Type": `${format.type}; charset=utf-8`, "Cache-Control": "no-cache" });
+  if (format.start) res.write(format.start());
+  const tokens = tokensOf(reply);
+  for (const [index, token] of tokens.entries()) {
+    if (closed) {
+      console.log(`  client cancelled after ${index} of ${tokens.length} tokens`);
+      return;
+    }
+    if (failAfter && index === failAfter) {
+      res.end(format.error("Simulated failure"));
+      return;
+    }
+    res.write(format.token(token));
+    await wait(delay);
+  }
+  if (extras) res.write(format.extras(extras));
+  res.end(format.end());
+});
+
+server.listen(port, () => {
+  console.log(`Mock chat webhook on http://localhost:${port}/webhook/ai-chat (mode ${defaultMode}, ${delay}ms per token).`);
+  console.log(`Mock team endpoint on http://localhost:${port}/webhook/chat-agent; type here to reply as ${agentName}.`);
+});
+
+// Cada linea escrita en la terminal llega como mensaje del equipo a las conversaciones abiertas
+createInterface({ input: process.stdin }).on("line", (line) => {
+  const text = line.trim();
+  if (!text) return;
+  const open = [...conversations.values()].filter((conversation) => conversation.status !== "closed");
+  open.forEach((conversation) => pushAgentMessage(conversation, text));
+  console.log(`Sent to ${open.length} open conversation(s).`);
+});
@@ -0,0 +1,89 @@
+import { appendFileSync } from "node:fs";
+import { createServer } from "node:http";
+
+// Endpoint falso de recibos de consentimiento para probar en local el envio de consent.js sin n8n.
+// En la consola del navegador (solo localhost/127.0.0.1):
+//   localStorage.setItem("novaix_consent_receipt_endpoint", "http://localhost:8788/webhook/consent-receipt")
+// Cada POST se valida: debe traer la version de la politica, las categorias y la fecha, solo llega con la
+// analitica concedida o al retirar categorias (withdrawn) y no puede llevar identificadores del visitante
+// (sesion, email, navegador). Los recibos validos se muestran en la terminal,
+// GET /webhook/consent-receipt devuelve los recibidos y con --log recibos.jsonl se guardan uno por linea.
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? fallback : args[index + 1];
+};
+const port = Number(option("port", 8788));
+const logFile = option("log", null);
+const categories = ["necessary", "preferences", "scheduling", "analytics", "marketing"];
+const allowedFields = ["type", "receiptId", "policyVersion", "categories", "choice", "at", "page", "language", "withdrawn"];
+const receipts = [];
+
+async function readJson(req) {
+  let body = "";
+  for await (const chunk of req) body += chunk;
+  try {
+    return JSON.parse(body || "{}");
+  } catch {
+    return {};
+  }
+}
+
+function validate(receipt) {
+  const errors = [];
+  if (receipt.type !== "consent_receipt") errors.push("type must be consent_receipt");
+  if (!receipt.receiptId) errors.push("receiptId is required");
+  if (!receipt.policyVersion) errors.push("policyVersion is required");
+  if (!receipt.categories || categories.some((category) => typeof receipt.categories[category] !== "boolean")) {
+    errors.push(`categories must include ${categories.join(", ")} as booleans`);
+  } else if (!receipt.categories.analytics && !receipt.withdrawn) {
+    errors.push("receipts are only sent with analytics consent or on withdrawal");
+  }
+  if (receipt.withdrawn !== undefined && (!Array.isArray(receipt.withdrawn) || !receipt.withdrawn.length
+    || receipt.withdrawn.some((category) => !categories.includes(category) || receipt.categories?.[category]))) {
+    errors.push("withdrawn must list categories that are no longer granted");
+  }
+  if (!["all", "custom", "none"].includes(receipt.choice)) errors.push("choice must be all, custom or none");
+  if (Number.isNaN(Date.parse(receipt.at))) errors.push("at must be an ISO date");
+  if (typeof receipt.page !== "string") errors.push("page is required");
+  const extra = Object.keys(receipt).filter((field) => !allowedFields.includes(field));
+  if (extra.length) errors.push(`unexpected fields (receipts must stay anonymous): ${extra.join(", ")}`);
+  return errors;
+}
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  res.setHeader("Access-Control-Allow-Origin", req.headers.origin || "*");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  if (req.method === "OPTIONS") {
+    res.writeHead(204).end();
+    return;
+  }
+  if (url.pathname !== "/webhook/consent-receipt" || !["GET", "POST"].includes(req.method)) {
+    res.writeHead(404, { "Content-Type": "application/json" }).end(JSON.stringify({ error: "Not found" }));
+    return;
+  }
+  if (req.method === "GET") {
+    res.writeHead(200, { "Content-Type": "application/json" }).end(JSON.stringify({ receipts }));
+    return;
+  }
+
+  const receipt = await readJson(req);
+  const errors = validate(receipt);
+  if (errors.length) {
+    console.log(`receipt rejected: ${errors.join("; ")}`);
+    res.writeHead(400, { "Content-Type": "application/json" }).end(JSON.stringify({ ok: false, errors }));
+    return;
+  }
+  receipts.push(receipt);
+  if (logFile) appendFileSync(logFile, `${JSON.stringify(receipt)}\n`);
+  const granted = categories.filter((category) => receipt.categories[category]).join(", ");
+  const withdrawn = receipt.withdrawn?.length ? ` (withdrawn ${receipt.withdrawn.join(", ")})` : "";
+  console.log(`receipt ${receipt.receiptId}: policy ${receipt.policyVersion}, ${receipt.choice} [${granted}]${withdrawn} on ${receipt.page}`);
+  res.writeHead(200, { "Content-Type": "application/json" }).end(JSON.stringify({ ok: true }));
+});
+
+server.listen(port, () => {
+  console.log(`Mock consent receipts on http://localhost:${port}/webhook/consent-receipt${logFile ? ` (logging to ${logFile})` : ""}.`);
+});
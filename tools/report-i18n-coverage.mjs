@@ -0,0 +1,80 @@
+import { catalogEntries, catalogLookup, declaredCatalogs, extractStrings, hasRichTags, listCatalogs, listPages, readPage } from "./i18n-catalogs.mjs";
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? fallback : args[index + 1];
+};
+const lang = option("lang", "en");
+const minimum = Number(option("min", "0"));
+const asJson = args.includes("--json");
+const withDetails = args.includes("--details");
+
+const entriesByCatalog = new Map(listCatalogs().map((name) => [name, catalogEntries(name)]));
+const namespaceOf = (catalog) => catalog.split("/")[0];
+const isCopy = (text) => /\p{L}{2}/u.test(text);
+
+const pages = listPages()
+  .map((page) => ({ page, html: readPage(page) }))
+  .filter(({ html }) => /<script\b[^>]*\bsrc="(?:\.\.\/)?i18n\.js/.test(html))
+  .map(({ page, html }) => {
+    const catalogs = declaredCatalogs(html);
+    const { keys, find } = catalogLookup(catalogs.flatMap((name) => entriesByCatalog.get(name) || []));
+    const missing = [];
+    const namespaces = {};
+    let total = 0;
+    let translated = 0;
+    for (const item of extractStrings(html)) {
+      if (item.type !== "key" && !isCopy(item.text)) continue;
+      // El texto dentro de una traduccion con marcadores <0>…</0> ya cuenta en la clave del elemento.
+      if (item.type === "text" && item.owner && hasRichTags(keys.get(item.owner)?.source)) continue;
+      const entry = find(item);
+      const namespace = entry ? namespaceOf(entry.catalog) : "(none)";
+      namespaces[namespace] ||= { total: 0, translated: 0 };
+      namespaces[namespace].total += 1;
+      total += 1;
+      if (entry && entry[lang]) {
+        translated += 1;
+        namespaces[namespace].translated += 1;
+      } else {
+        missing.push({ ...item, catalog: entry?.catalog || null });
+      }
+    }
+    return { page, catalogs, total, translated, coverage: total ? translated / total : 1, namespaces, missing };
+  });
+
+const catalogs = Array.from(entriesByCatalog, ([name, entries]) => {
+  const translated = entries.filter((entry) => entry[lang]).length;
+  return { catalog: name, namespace: namespaceOf(name), entries: entries.length, translated, coverage: entries.length ? translated / entries.length : 1 };
+});
+
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+if (asJson) {
+  console.log(JSON.stringify({ language: lang, pages, catalogs }, null, 2));
+} else {
+  console.log(`Translation coverage for "${lang}"\n`);
+  console.log(`${"Page".padEnd(40)}${"Strings".padStart(9)}${"Translated".padStart(12)}${"Missing".padStart(9)}${"Coverage".padStart(10)}`);
+  for (const row of pages) {
+    console.log(`${row.page.padEnd(40)}${String(row.total).padStart(9)}${String(row.translated).padStart(12)}${String(row.missing.length).padStart(9)}${percent(row.coverage).padStart(10)}`);
+    if (withDetails) {
+      Object.entries(row.namespaces).forEach(([namespace, counts]) => {
+        console.log(`  ${namespace.padEnd(38)}${String(counts.total).padStart(9)}${String(counts.translated).padStart(12)}`);
+      });
+      row.missing.forEach((item) => {
+        const where = item.attribute ? `[${item.attribute}] ` : "";
+        console.log(`    - ${where}${item.key ? `key ${item.key}` : JSON.stringify(item.text)}`);
+      });
+    }
+  }
+  console.log(`\n${"Catalog".padEnd(40)}${"Entries".padStart(9)}${"Translated".padStart(12)}${"Coverage".padStart(10)}`);
+  for (const row of catalogs) {
+    console.log(`${row.catalog.padEnd(40)}${String(row.entries).padStart(9)}${String(row.translated).padStart(12)}${percent(row.coverage).padStart(10)}`);
+  }
+}
+
+const belowMinimum = pages.filter((row) => row.coverage * 100 < minimum);
+if (belowMinimum.length) {
+  console.error(`\n${belowMinimum.length} page(s) below ${minimum}% coverage: ${belowMinimum.map((row) => row.page).join(", ")}`);
+  process.exit(1);
+}